@@ -0,0 +1,68 @@
+// Base domains the servers serve tunnels under, e.g. grabr.cc or dev.example.com.
+//
+// A Host header is matched against the longest configured base domain it ends
+// with, so with dev.example.com configured app.dev.example.com is the tunnel
+// 'app'. Tunnel names are shared across base domains; each tunnel's URLs use
+// the domain it registered under.
+
+const DEFAULT_DOMAIN = 'grabr.cc';
+
+// Accepts an array or a comma-separated list such as TUNNEL_DOMAINS
+function parseDomains(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const domains = list
+    .map((domain) => domain.trim().toLowerCase().replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+  return domains.length > 0 ? domains : [DEFAULT_DOMAIN];
+}
+
+function stripPort(host) {
+  if (host.startsWith('[')) return host.slice(0, host.indexOf(']') + 1); // IPv6 literal
+  const colon = host.lastIndexOf(':');
+  return colon === -1 ? host : host.slice(0, colon);
+}
+
+// Host header -> bare lowercase hostname without port or trailing dot
+function normalizeHostname(host) {
+  return stripPort(String(host || '')).toLowerCase().replace(/\.$/, '');
+}
+
+// { subdomain, domain } for a Host header; subdomain is null for a bare base
+// domain, and both are null for hosts outside every base domain (IPs, typos)
+function matchHost(host, domains) {
+  const hostname = normalizeHostname(host);
+  let match = null;
+
+  for (const domain of domains) {
+    if (hostname === domain) return { subdomain: null, domain };
+    if (hostname.endsWith(`.${domain}`) && (!match || domain.length > match.length)) {
+      match = domain;
+    }
+  }
+
+  if (!match) return { subdomain: null, domain: null };
+  return { subdomain: hostname.slice(0, -(match.length + 1)), domain: match };
+}
+
+// Domain a new tunnel registers under: the one the client asked for, else the one
+// it reached the server through, else the first configured domain
+function pickDomain(requested, connectHost, domains) {
+  const wanted = String(requested || '').trim().toLowerCase();
+  if (domains.includes(wanted)) return wanted;
+
+  const { domain } = matchHost(connectHost, domains);
+  return domain || domains[0];
+}
+
+function tunnelUrl(tunnelId, domain, scheme = 'https') {
+  return `${scheme}://${tunnelId}.${domain}/`;
+}
+
+module.exports = {
+  DEFAULT_DOMAIN,
+  parseDomains,
+  normalizeHostname,
+  matchHost,
+  pickDomain,
+  tunnelUrl
+};
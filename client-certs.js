@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const IDENTITY_PREFIX = 'cert:';
+
+// Client certificates as a tunnel credential on the wss:// control listener, e.g.
+// short-lived certificates issued to CI machines instead of shared API tokens.
+//
+// Certificates must chain to the CA bundle; the subject CN becomes the tunnel's
+// identity as `cert:<CN>`, owning subdomains and custom domains like a token name
+// does. The prefix keeps the two apart: CN=alice is not the token named alice, and
+// token names cannot start with it (see token-store.js). An optional CRL
+// (PEM, issued by the same CA) revokes certificates for new connections. Both
+// files are watched and reloaded on change.
+class ClientCertificateAuthority extends EventEmitter {
+  constructor(caFile, { crlFile = null } = {}) {
+    super();
+    this.caFile = path.resolve(caFile);
+    this.crlFile = crlFile ? path.resolve(crlFile) : null;
+    this.ca = null;
+    this.crl = null;
+    this.watching = false;
+    this.load();
+  }
+
+  load() {
+    this.ca = fs.readFileSync(this.caFile);
+    this.crl = null;
+
+    if (!this.crlFile) return;
+    if (!fs.existsSync(this.crlFile)) {
+      console.log(`⚠️  CRL file ${this.crlFile} not found - no client certificates are revoked`);
+      return;
+    }
+    this.crl = fs.readFileSync(this.crlFile);
+  }
+
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    for (const file of [this.caFile, this.crlFile].filter(Boolean)) {
+      fs.watchFile(file, { interval: 1000 }, () => {
+        try {
+          this.load();
+          console.log(`🪪 Client certificate authority reloaded from ${path.basename(file)}`);
+          this.emit('change');
+        } catch (error) {
+          console.error(`❌ Failed to reload ${file}:`, error.message);
+        }
+      });
+    }
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    for (const file of [this.caFile, this.crlFile].filter(Boolean)) fs.unwatchFile(file);
+    this.watching = false;
+  }
+
+  // Secure context options; the CRL makes OpenSSL reject revoked certificates in the handshake check
+  contextOptions() {
+    return this.crl ? { ca: this.ca, crl: this.crl } : { ca: this.ca };
+  }
+
+  // For the TLS socket of a control connection: null when no certificate was presented,
+  // { error } for one that failed verification, else { identity, expiresAt }
+  identify(socket) {
+    const certificate = socket.getPeerCertificate ? socket.getPeerCertificate() : null;
+    if (!certificate || !certificate.subject) return null;
+
+    if (!socket.authorized) {
+      return { error: describeError(socket.authorizationError) };
+    }
+    if (!certificate.subject.CN) {
+      return { error: 'Client certificate has no subject CN to use as identity' };
+    }
+
+    return { identity: `${IDENTITY_PREFIX}${certificate.subject.CN}`, expiresAt: new Date(certificate.valid_to) };
+  }
+}
+
+function describeError(code) {
+  switch (code) {
+    case 'CERT_HAS_EXPIRED': return 'Client certificate has expired';
+    case 'CERT_NOT_YET_VALID': return 'Client certificate is not valid yet';
+    case 'CERT_REVOKED': return 'Client certificate has been revoked';
+    default: return `Client certificate rejected (${code || 'unknown error'})`;
+  }
+}
+
+ClientCertificateAuthority.IDENTITY_PREFIX = IDENTITY_PREFIX;
+
+module.exports = ClientCertificateAuthority;
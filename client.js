@@ -1,16 +1,31 @@
 const WebSocket = require('ws');
 const axios = require('axios');
 const readline = require('readline');
+const Heartbeat = require('./heartbeat');
+const { controlUrl, openControlSocket } = require('./secure-channel');
+const { visitorAuthConfig } = require('./visitor-auth');
+const { ipRulesConfig } = require('./ip-rules');
 
 class TunnelClient {
-  constructor(localPort = 3000, suggestedSubdomain = null) {
+  constructor(localPort = 3000, suggestedSubdomain = null, token = process.env.TUNNEL_TOKEN || null) {
     this.config = {
       serverHost: '20.193.143.179',
       serverPort: 8080,
+      serverUrl: process.env.TUNNEL_SERVER_URL || null, // ws:// or wss:// URL; overrides host/port
+      caFile: process.env.TUNNEL_CA_FILE || null,       // Extra CA bundle for wss://
+      fingerprint: process.env.TUNNEL_SERVER_FINGERPRINT || null, // Pinned server certificate (SHA-256)
       localPort: localPort,
       localHost: 'localhost',
-      suggestedSubdomain: suggestedSubdomain
+      suggestedSubdomain: suggestedSubdomain,
+      token: token,
+      domain: process.env.TUNNEL_DOMAIN || null, // Base domain to register under; the server's default if unset
+      visitorAuth: visitorAuthConfig(process.env.TUNNEL_VISITOR_BASIC_AUTH, process.env.TUNNEL_VISITOR_TOKEN), // Required from visitors
+      ipRules: ipRulesConfig(process.env.TUNNEL_IP_ALLOW, process.env.TUNNEL_IP_DENY), // CIDR allow/deny for visitors
+      preserveHost: process.env.TUNNEL_PRESERVE_HOST === 'on', // Keep the public Host header instead of localhost:<port>
+      heartbeatInterval: 15000, // Ping the server this often
+      heartbeatTimeout: 10000   // Reconnect when a pong is this late
     };
+    controlUrl(this.config); // Throws on an unusable or downgraded server URL before anything connects
     
     this.ws = null;
     this.tunnelId = null;
@@ -18,17 +33,29 @@ class TunnelClient {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.isConnected = false;
+    this.subdomainDenied = false;
     this.webSocketConnections = new Map(); // Track active WebSocket connections
   }
 
   connect() {
-    const wsUrl = `ws://${this.config.serverHost}:${this.config.serverPort}`;
+    const wsUrl = controlUrl(this.config);
     console.log(`🔌 Connecting to tunnel server: ${wsUrl}`);
 
-    this.ws = new WebSocket(wsUrl);
+    const ws = openControlSocket(wsUrl, this.config);
+    this.ws = ws;
+    this.heartbeat = new Heartbeat(ws, {
+      interval: this.config.heartbeatInterval,
+      timeout: this.config.heartbeatTimeout,
+      onTimeout: () => {
+        console.log('💀 Tunnel server stopped answering pings - reconnecting');
+        ws.terminate();
+      }
+    });
 
     this.ws.on('open', () => {
+      this.heartbeat.start();
       console.log('✅ Connected to tunnel server');
+      this.subdomainDenied = false;
       this.isConnected = true;
       this.reconnectAttempts = 0;
       
@@ -37,7 +64,11 @@ class TunnelClient {
         type: 'config',
         localPort: this.config.localPort,
         localHost: this.config.localHost,
-        suggestedSubdomain: this.config.suggestedSubdomain
+        suggestedSubdomain: this.config.suggestedSubdomain,
+        token: this.config.token,
+        domain: this.config.domain,
+        auth: this.config.visitorAuth,
+        ipRules: this.config.ipRules
       });
     });
 
@@ -53,6 +84,7 @@ class TunnelClient {
     this.ws.on('close', () => {
       console.log('❌ Connection to tunnel server closed');
       this.isConnected = false;
+      this.heartbeat.stop();
       this.attemptReconnect();
     });
 
@@ -72,12 +104,8 @@ class TunnelClient {
         console.log(`📍 Tunnel ID: ${this.tunnelId}`);
         
         // Show if custom subdomain was used
-        if (this.config.suggestedSubdomain) {
-          if (this.tunnelId === this.config.suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '')) {
-            console.log(`✨ Using your custom subdomain: ${this.tunnelId}`);
-          } else {
-            console.log(`⚠️  Custom subdomain unavailable, using: ${this.tunnelId}`);
-          }
+        if (this.config.suggestedSubdomain && !this.subdomainDenied) {
+          console.log(`✨ Using your custom subdomain: ${this.tunnelId}`);
         }
         
         console.log(`🔗 Path URL: ${this.publicUrl}`);
@@ -85,6 +113,18 @@ class TunnelClient {
         console.log(`⬅️  Local: http://${this.config.localHost}:${this.config.localPort}`);
         break;
 
+      case 'subdomain_denied':
+        // Sent before 'connected' when the requested name is reserved or in use
+        this.subdomainDenied = true;
+        console.log(`⚠️  ${data.message} - a random subdomain will be used instead`);
+        break;
+
+      case 'auth_error':
+        console.error(`❌ Authentication failed: ${data.message}`);
+        console.log('💡 Set TUNNEL_TOKEN to an API token issued by the server operator');
+        process.exit(1);
+        break;
+
       case 'request':
         this.handleIncomingRequest(data);
         break;
@@ -153,7 +193,7 @@ class TunnelClient {
   cleanHeaders(headers) {
     // Remove headers that might cause issues
     const cleaned = { ...headers };
-    delete cleaned.host;
+    if (!this.config.preserveHost) delete cleaned.host;
     delete cleaned.connection;
     delete cleaned['content-length'];
     return cleaned;
@@ -312,10 +352,11 @@ async function startClient() {
 
   console.log('🚀 Mini Tunnel Client\n');
   
+  const token = process.env.TUNNEL_TOKEN || await ask('Enter API token (or set TUNNEL_TOKEN): ') || null;
   const multiPort = await ask('Tunnel multiple ports? (y/n, default n): ');
   
   if (multiPort.toLowerCase() === 'y') {
-    await startMultiPortClient(ask, rl);
+    await startMultiPortClient(ask, rl, token);
   } else {
     const localPort = await ask('Enter local port to tunnel (default 3000): ') || '3000';
     const suggestedSubdomain = await ask('Enter preferred subdomain (optional, e.g., "myapp"): ') || null;
@@ -326,11 +367,11 @@ async function startClient() {
     console.log(`   WebSocket: 20.193.143.179:8080 (direct)`);
     console.log(`   Local: localhost:${localPort}`);
     if (suggestedSubdomain) {
-      console.log(`   Requested: ${suggestedSubdomain}.grabr.cc`);
+      console.log(`   Requested subdomain: ${suggestedSubdomain}`);
     }
     console.log('');
 
-    const client = new TunnelClient(parseInt(localPort), suggestedSubdomain);
+    const client = new TunnelClient(parseInt(localPort), suggestedSubdomain, token);
     await setupSingleClient(client);
   }
 }
@@ -350,7 +391,7 @@ async function setupSingleClient(client) {
   client.connect();
 }
 
-async function startMultiPortClient(ask, rl) {
+async function startMultiPortClient(ask, rl, token) {
   const clients = [];
   
   console.log('\n🌟 Multi-Port Tunnel Setup');
@@ -372,10 +413,10 @@ async function startMultiPortClient(ask, rl) {
     clients.push({
       port: portNum,
       subdomain: subdomain,
-      client: new TunnelClient(portNum, subdomain)
+      client: new TunnelClient(portNum, subdomain, token)
     });
     
-    console.log(`✅ Added: localhost:${port} → ${subdomain || 'random'}.grabr.cc`);
+    console.log(`✅ Added: localhost:${port} → subdomain ${subdomain || '(random)'}`);
   }
   
   rl.close();
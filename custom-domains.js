@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const { normalizeHostname } = require('./base-domains');
+
+const CHALLENGE_PREFIX = '_tunnel-challenge';
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Customer hostnames (e.g. staging.ourcompany.com, CNAMEd at the server) mapped to tunnel names.
+// A hostname only routes once its owner proved control of it with a DNS TXT record:
+//   _tunnel-challenge.staging.ourcompany.com  TXT  "tunnel-verify=<token>"
+// The resolver can be swapped out (`resolveTxt` option) so verification works without real DNS.
+class CustomDomainRegistry {
+  constructor(filePath = 'custom-domains.json', { resolveTxt = dns.promises.resolveTxt } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.resolveTxt = resolveTxt;
+    this.domains = new Map(); // hostname -> { tunnel, owner, admin, token, verified, createdAt, verifiedAt }
+    this.watching = false;
+    this.load();
+  }
+
+  load() {
+    this.domains.clear();
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [hostname, entry] of Object.entries(data.domains || {})) {
+        if (entry && entry.tunnel && entry.token) {
+          this.domains.set(hostname, {
+            tunnel: entry.tunnel,
+            owner: entry.owner || null,
+            admin: !!entry.admin,
+            token: entry.token,
+            verified: !!entry.verified,
+            createdAt: entry.createdAt || null,
+            verifiedAt: entry.verifiedAt || null
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load custom domains file ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    const domains = Object.fromEntries(this.domains);
+    fs.writeFileSync(this.filePath, JSON.stringify({ domains }, null, 2));
+  }
+
+  // Reload when the file is edited, e.g. by the commands below
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: 1000 }, () => this.load());
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  static isValidHostname(hostname) {
+    return HOSTNAME_PATTERN.test(hostname);
+  }
+
+  // Map a hostname to a tunnel name. Returns null if the hostname is already held by an
+  // admin registration, another owner or a verified anonymous client, unless `force` is
+  // set (admin registrations, marked `admin`). Moving a hostname to another tunnel or
+  // owner needs a fresh TXT proof.
+  register(host, tunnel, owner, { force = false } = {}) {
+    const hostname = normalizeHostname(host);
+    if (!CustomDomainRegistry.isValidHostname(hostname)) {
+      throw new Error(`Invalid hostname '${host}'`);
+    }
+
+    const existing = this.domains.get(hostname);
+    const held = existing && (existing.admin || existing.owner !== owner || (!existing.owner && existing.verified));
+    if (held && !force) return null;
+
+    const entry = existing && existing.tunnel === tunnel && existing.owner === owner
+      ? { ...existing, admin: force }
+      : {
+        tunnel,
+        owner,
+        admin: force,
+        token: crypto.randomBytes(16).toString('hex'),
+        verified: false,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        verifiedAt: null
+      };
+
+    this.domains.set(hostname, entry);
+    this.save();
+    return { hostname, ...entry };
+  }
+
+  // Look for the challenge TXT record; marks the hostname verified when it matches
+  async verify(host) {
+    const hostname = normalizeHostname(host);
+    const entry = this.domains.get(hostname);
+    if (!entry) return false;
+    if (entry.verified) return true;
+
+    let records = [];
+    try {
+      records = await this.resolveTxt(CustomDomainRegistry.challengeName(hostname));
+    } catch (error) {
+      return false; // NXDOMAIN, no TXT records, resolver errors: not verified yet
+    }
+
+    const expected = CustomDomainRegistry.challengeValue(entry.token);
+    if (!records.some((chunks) => [].concat(chunks).join('') === expected)) return false;
+
+    entry.verified = true;
+    entry.verifiedAt = new Date().toISOString();
+    this.save();
+    console.log(`✅ Verified custom domain ${hostname} for tunnel ${entry.tunnel}`);
+    return true;
+  }
+
+  static challengeName(hostname) {
+    return `${CHALLENGE_PREFIX}.${hostname}`;
+  }
+
+  static challengeValue(token) {
+    return `tunnel-verify=${token}`;
+  }
+
+  // Entry for a Host header, only once the hostname is verified. Tunnel names outlive
+  // their tunnels, so callers check the tunnel now holding the name is the owner's.
+  lookup(host) {
+    const hostname = normalizeHostname(host);
+    const entry = this.domains.get(hostname);
+    return entry && entry.verified ? { hostname, ...entry } : null;
+  }
+
+  get(host) {
+    const hostname = normalizeHostname(host);
+    const entry = this.domains.get(hostname);
+    return entry ? { hostname, ...entry } : null;
+  }
+
+  hostnamesFor(tunnel) {
+    return this.list().filter((entry) => entry.tunnel === tunnel && entry.verified).map((entry) => entry.hostname);
+  }
+
+  remove(host) {
+    if (!this.domains.delete(normalizeHostname(host))) return false;
+    this.save();
+    return true;
+  }
+
+  list() {
+    return Array.from(this.domains.entries()).map(([hostname, entry]) => ({ hostname, ...entry }));
+  }
+}
+
+// CLI for managing custom domains: node custom-domains.js <command> [arguments]
+if (require.main === module) {
+  const [command, hostname, tunnel, owner] = process.argv.slice(2);
+  const registry = new CustomDomainRegistry(process.env.TUNNEL_CUSTOM_DOMAINS_FILE || 'custom-domains.json');
+
+  const run = async () => {
+    switch (command) {
+      case 'add': {
+        if (!hostname || !tunnel) {
+          console.error('Usage: node custom-domains.js add <hostname> <tunnel> [owner]');
+          process.exit(1);
+        }
+        const entry = registry.register(hostname, tunnel, owner || null, { force: true });
+        console.log(`🏷️  ${entry.hostname} → tunnel ${entry.tunnel}`);
+        if (!entry.verified) {
+          console.log(`   Add this DNS record, then run: node custom-domains.js verify ${entry.hostname}`);
+          console.log(`   ${CustomDomainRegistry.challengeName(entry.hostname)}  TXT  "${CustomDomainRegistry.challengeValue(entry.token)}"`);
+        }
+        break;
+      }
+
+      case 'verify':
+        if (!hostname) {
+          console.error('Usage: node custom-domains.js verify <hostname>');
+          process.exit(1);
+        }
+        console.log(await registry.verify(hostname) ? `✅ ${hostname} verified` : `⚠️  TXT record for ${hostname} not found yet`);
+        break;
+
+      case 'remove':
+        if (!hostname) {
+          console.error('Usage: node custom-domains.js remove <hostname>');
+          process.exit(1);
+        }
+        console.log(registry.remove(hostname) ? `🗑️  Removed ${hostname}` : `⚠️  ${hostname} is not registered`);
+        break;
+
+      case 'list':
+        console.table(registry.list().map(({ token, ...entry }) => entry));
+        break;
+
+      default:
+        console.log(`
+🏷️  Custom Domains
+
+Usage: node custom-domains.js <command> [arguments]
+
+Commands:
+  list                              List custom domains
+  add <hostname> <tunnel> [owner]   Map a hostname to a tunnel name
+  verify <hostname>                 Check the ownership TXT record
+  remove <hostname>                 Remove a custom domain
+
+Environment Variables:
+  TUNNEL_CUSTOM_DOMAINS_FILE   Custom domains file path (default: custom-domains.json)
+`);
+    }
+  };
+
+  run().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = CustomDomainRegistry;
@@ -0,0 +1,115 @@
+const { INITIAL_WINDOW, FrameType, encodeWindowIncrement } = require('./frame-protocol');
+
+// Credit-based flow control for one tunneled stream (protocol v3).
+//
+// Each side may only have `window` unacknowledged bytes in flight per stream.
+// When the credit runs out the source socket is paused; the peer grants credit
+// back with WINDOW frames once it has handed the bytes to its destination socket
+// and that socket has drained. This bounds the memory a fast producer can pin on
+// the other side of the tunnel.
+class StreamFlow {
+  constructor(sendFrame, { enabled = true, window = INITIAL_WINDOW } = {}) {
+    this.sendFrame = sendFrame; // (type, payload) => void for this stream
+    this.enabled = enabled;     // Peers below protocol v3 never send WINDOW frames
+    this.window = window;
+    this.credit = window;       // Bytes we may still send before the peer grants more
+    this.pendingGrant = 0;      // Bytes delivered locally but not yet granted back
+    this.waitingForDrain = false;
+    this.source = null;
+    this.paused = false;
+    this.bytesSent = 0;
+    this.bytesReceived = 0;
+  }
+
+  // Forward everything read from `socket` to the peer, pausing it when out of credit
+  attachSource(socket) {
+    this.source = socket;
+    socket.on('data', (chunk) => this.sendData(chunk));
+  }
+
+  sendData(chunk) {
+    // Request/response streams go quiet once the answer is sent; grant what was consumed
+    // now so an idle stream (e.g. a pooled HTTP connection) does not sit on the peer's credit
+    if (this.pendingGrant > 0 && !this.waitingForDrain) this.flushGrant();
+
+    this.sendFrame(FrameType.DATA, chunk);
+    this.bytesSent += chunk.length;
+
+    if (!this.enabled) return;
+
+    this.credit -= chunk.length;
+    if (this.credit <= 0 && this.source && !this.paused) {
+      this.paused = true;
+      this.source.pause();
+    }
+  }
+
+  handleWindow(increment) {
+    this.credit += increment;
+    if (this.paused && this.credit > 0) {
+      this.paused = false;
+      if (this.source && !this.source.destroyed) {
+        this.source.resume();
+      }
+    }
+  }
+
+  // Write data received from the peer, granting credit once the destination drains
+  deliver(destination, chunk) {
+    this.bytesReceived += chunk.length;
+    const flushed = destination.write(chunk);
+
+    if (!this.enabled) return;
+
+    this.pendingGrant += chunk.length;
+    if (!flushed) {
+      if (!this.waitingForDrain) {
+        this.waitingForDrain = true;
+        destination.once('drain', () => {
+          this.waitingForDrain = false;
+          this.flushGrant();
+        });
+      }
+    } else if (!this.waitingForDrain) {
+      this.maybeFlushGrant();
+    }
+  }
+
+  // Data received from the peer that was consumed without a writable destination
+  consumed(length) {
+    this.bytesReceived += length;
+
+    if (!this.enabled) return;
+
+    this.pendingGrant += length;
+    this.maybeFlushGrant();
+  }
+
+  // Batch grants so small writes don't each cost a WINDOW frame
+  maybeFlushGrant() {
+    if (this.pendingGrant >= this.window / 4) {
+      this.flushGrant();
+    }
+  }
+
+  flushGrant() {
+    if (this.pendingGrant === 0) return;
+    this.sendFrame(FrameType.WINDOW, encodeWindowIncrement(this.pendingGrant));
+    this.pendingGrant = 0;
+  }
+
+  // After a session resume the peer has confirmed every byte sent so far; start over
+  // with a full window rather than wait for WINDOW frames lost with the old connection
+  reattach() {
+    this.credit = this.window;
+    this.pendingGrant = 0;
+    this.paused = false;
+  }
+
+  // Bytes sent to the peer that it has not acknowledged yet
+  get inFlight() {
+    return this.enabled ? this.window - this.credit : 0;
+  }
+}
+
+module.exports = StreamFlow;
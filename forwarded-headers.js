@@ -0,0 +1,67 @@
+const net = require('net');
+const { visitorAddress } = require('./ip-rules');
+
+// Headers telling the local service who the visitor is and which URL they used; it only
+// ever sees connections from the tunnel client, with Host rewritten to localhost:
+//
+//   X-Forwarded-For    Client chain, ending with the address that connected to the server
+//   X-Forwarded-Proto  http or https as the visitor used it
+//   X-Forwarded-Host   Public Host header
+//   X-Real-IP          Visitor address
+//   Forwarded          RFC 7239 form of the above: for=...;host=...;proto=...
+//
+// Values a visitor sent are replaced. Ones from configured trusted proxies (see ip-rules.js)
+// are built upon instead, so a visitor behind Cloudflare shows up as themselves.
+
+const FORWARDED_HEADERS = ['forwarded', 'x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host', 'x-real-ip'];
+
+function firstValue(value) {
+  return String(value || '').split(',')[0].trim();
+}
+
+// RFC 7239 values are tokens or quoted strings; IPv6 addresses go in brackets
+function forwardedValue(value) {
+  const text = net.isIPv6(value) ? `[${value}]` : value;
+  return /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(text) ? text : `"${text.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+function forwardedHeaders(req, isTrustedProxy) {
+  const remoteAddress = req.socket.remoteAddress;
+  const peer = visitorAddress(remoteAddress, req.headers, null);
+  const trusted = !!isTrustedProxy && isTrustedProxy(remoteAddress);
+  const address = visitorAddress(remoteAddress, req.headers, isTrustedProxy);
+
+  const proto = (trusted && firstValue(req.headers['x-forwarded-proto'])) || (req.socket.encrypted ? 'https' : 'http');
+  const host = (trusted && firstValue(req.headers['x-forwarded-host'])) || req.headers.host || '';
+
+  let chain = peer;
+  if (trusted && req.headers['x-forwarded-for']) chain = `${req.headers['x-forwarded-for']}, ${peer}`;
+  else if (trusted && address !== peer) chain = `${address}, ${peer}`;
+
+  const headers = {
+    'X-Forwarded-For': chain,
+    'X-Forwarded-Proto': proto,
+    'X-Real-IP': address,
+    Forwarded: [`for=${address ? forwardedValue(address) : 'unknown'}`, host && `host=${forwardedValue(host)}`, `proto=${proto}`]
+      .filter(Boolean)
+      .join(';')
+  };
+  if (host) headers['X-Forwarded-Host'] = host;
+  return headers;
+}
+
+// A raw header list with any incoming forwarding headers swapped for `forwarded`
+function withForwardedHeaders(rawHeaders, forwarded) {
+  const result = [];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    if (!FORWARDED_HEADERS.includes(rawHeaders[i].toLowerCase())) result.push(rawHeaders[i], rawHeaders[i + 1]);
+  }
+  for (const [name, value] of Object.entries(forwarded)) result.push(name, value);
+  return result;
+}
+
+module.exports = {
+  FORWARDED_HEADERS,
+  forwardedHeaders,
+  withForwardedHeaders
+};
@@ -0,0 +1,87 @@
+// Binary framing for tunneled stream traffic (protocol version 2+).
+//
+// Every frame is a single binary WebSocket message:
+//
+//   +--------+----------------------+-----------------+
+//   | type   | stream id            | payload         |
+//   | 1 byte | 4 bytes (uint32 BE)  | remaining bytes |
+//   +--------+----------------------+-----------------+
+//
+// Control messages (config, connected, errors) stay JSON text messages.
+// Clients that do not announce protocolVersion >= 2 in their config message
+// keep using the version 1 JSON messages with base64 payloads.
+// Version 3 adds WINDOW frames for per-stream credit-based flow control.
+// Version 4 adds DATAGRAM frames for UDP tunnels; the stream id names a UDP
+// session (one remote peer) and CLOSE ends it.
+// Version 5 lets DATA follow CONNECT before the local connection is up; clients
+// write it after the CONNECT payload. HTTP request bodies are streamed that way.
+
+const PROTOCOL_VERSION = 5;
+
+// Send credit each side starts with for every stream (see flow-control.js)
+const INITIAL_WINDOW = 256 * 1024;
+
+const FrameType = {
+  CONNECT: 0x01, // Open a stream to the local service; payload is the initial data
+  DATA: 0x02,    // Stream bytes
+  CLOSE: 0x03,   // Stream closed; payload is an optional UTF-8 error message
+  WINDOW: 0x04,  // Grant the peer more send credit; payload is a uint32 BE byte count
+  DATAGRAM: 0x05 // One UDP datagram for a session; not flow controlled
+};
+
+// Version 1 JSON message types for each frame type
+const MessageType = {
+  [FrameType.CONNECT]: 'tcp_connect',
+  [FrameType.DATA]: 'tcp_data',
+  [FrameType.CLOSE]: 'tcp_close',
+  [FrameType.WINDOW]: 'tcp_window',
+  [FrameType.DATAGRAM]: 'udp_datagram'
+};
+
+const HEADER_SIZE = 5;
+const EMPTY = Buffer.alloc(0);
+
+function encodeFrame(type, streamId, payload = EMPTY) {
+  const header = Buffer.allocUnsafe(HEADER_SIZE);
+  header.writeUInt8(type, 0);
+  header.writeUInt32BE(streamId, 1);
+  return Buffer.concat([header, payload], HEADER_SIZE + payload.length);
+}
+
+function decodeFrame(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new Error(`Frame too short: ${buffer.length} bytes`);
+  }
+
+  const type = buffer.readUInt8(0);
+  if (!MessageType[type]) {
+    throw new Error(`Unknown frame type: ${type}`);
+  }
+
+  return {
+    type,
+    streamId: buffer.readUInt32BE(1),
+    payload: buffer.subarray(HEADER_SIZE)
+  };
+}
+
+function encodeWindowIncrement(increment) {
+  const payload = Buffer.allocUnsafe(4);
+  payload.writeUInt32BE(increment, 0);
+  return payload;
+}
+
+function decodeWindowIncrement(payload) {
+  return payload.length >= 4 ? payload.readUInt32BE(0) : 0;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  INITIAL_WINDOW,
+  FrameType,
+  MessageType,
+  encodeFrame,
+  decodeFrame,
+  encodeWindowIncrement,
+  decodeWindowIncrement
+};
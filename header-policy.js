@@ -0,0 +1,92 @@
+// Header handling for proxied HTTP messages. Headers travel as raw lists,
+// [name, value, name, value, ...] like Node's rawHeaders, so casing, order and
+// repeated headers such as Set-Cookie survive in both directions.
+//
+// Hop-by-hop headers describe one connection and are dropped wherever a message is
+// written onward: the HTTP tunnel client applies its policy to requests for the local
+// service, the servers theirs to responses for visitors (the TCP server also to requests). A policy can change what is dropped
+// and append headers of its own:
+//
+//   { strip: ['x-debug'], keep: ['te'], add: { 'X-Served-By': 'tunnel' } }
+//
+// `strip` extends the hop-by-hop list, `keep` takes names off it (and off the
+// Connection header's list), `add` is appended after stripping.
+
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+class HeaderPolicy {
+  constructor({ strip = [], keep = [], add = {} } = {}) {
+    this.keep = new Set(keep.map((name) => name.toLowerCase()));
+    this.strip = new Set([...HOP_BY_HOP_HEADERS, ...strip.map((name) => name.toLowerCase())]);
+    this.add = Object.entries(add).map(([name, value]) => [name, String(value)]);
+  }
+
+  apply(rawHeaders) {
+    // Connection may name further headers that only concern this hop
+    const listed = new Set();
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      if (rawHeaders[i].toLowerCase() !== 'connection') continue;
+      String(rawHeaders[i + 1]).split(',').forEach((name) => listed.add(name.trim().toLowerCase()));
+    }
+
+    const result = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      const name = rawHeaders[i].toLowerCase();
+      if ((this.strip.has(name) || listed.has(name)) && !this.keep.has(name)) continue;
+      result.push(rawHeaders[i], String(rawHeaders[i + 1]));
+    }
+    for (const [name, value] of this.add) result.push(name, value);
+    return result;
+  }
+}
+
+// { name: value | [values] } -> raw list, for peers that only send header objects
+function toRawHeaders(headers = {}) {
+  const raw = [];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const item of [].concat(value)) raw.push(name, String(item));
+  }
+  return raw;
+}
+
+// A request's raw list, minus headers the server dropped from req.headers (e.g. visitor credentials)
+function requestRawHeaders(req) {
+  const raw = [];
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    if (req.headers[req.rawHeaders[i].toLowerCase()] === undefined) continue;
+    raw.push(req.rawHeaders[i], req.rawHeaders[i + 1]);
+  }
+  return raw;
+}
+
+// Set a raw list on a response; repeated names become one header line per value
+function setRawHeaders(res, rawHeaders) {
+  const grouped = new Map(); // lowercase name -> { name, values }
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const key = rawHeaders[i].toLowerCase();
+    if (!grouped.has(key)) grouped.set(key, { name: rawHeaders[i], values: [] });
+    grouped.get(key).values.push(rawHeaders[i + 1]);
+  }
+
+  for (const { name, values } of grouped.values()) {
+    res.setHeader(name, values.length === 1 ? values[0] : values);
+  }
+}
+
+module.exports = {
+  HOP_BY_HOP_HEADERS,
+  HeaderPolicy,
+  toRawHeaders,
+  requestRawHeaders,
+  setRawHeaders
+};
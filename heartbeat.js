@@ -0,0 +1,57 @@
+// Ping/pong liveness check for one tunnel control WebSocket, used on both ends.
+//
+// Every `interval` a ping is sent; if its pong has not arrived within `timeout`
+// the connection is treated as dead and `onTimeout` runs (by default the socket
+// is terminated, which fires its 'close' handler). A NAT or proxy that silently
+// drops the connection is noticed within interval + timeout instead of never.
+class Heartbeat {
+  constructor(ws, { interval = 15000, timeout = 10000, onTimeout = null } = {}) {
+    this.ws = ws;
+    this.interval = interval;
+    this.timeout = timeout;
+    this.onTimeout = onTimeout || (() => ws.terminate());
+    this.latency = null;    // Round trip of the last answered ping, in ms
+    this.lastPongAt = null;
+    this.pingSentAt = null;
+    this.timer = null;
+    this.deadline = null;
+    this.handlePong = () => this.pong();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.ws.on('pong', this.handlePong);
+    this.timer = setInterval(() => this.ping(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.deadline);
+    this.timer = null;
+    this.deadline = null;
+    this.ws.off('pong', this.handlePong);
+  }
+
+  ping() {
+    if (this.ws.readyState !== this.ws.OPEN || this.deadline) return;
+
+    this.pingSentAt = Date.now();
+    this.ws.ping();
+    this.deadline = setTimeout(() => {
+      this.stop();
+      this.onTimeout();
+    }, this.timeout);
+  }
+
+  pong() {
+    if (!this.pingSentAt) return;
+
+    this.latency = Date.now() - this.pingSentAt;
+    this.lastPongAt = new Date().toISOString();
+    this.pingSentAt = null;
+    clearTimeout(this.deadline);
+    this.deadline = null;
+  }
+}
+
+module.exports = Heartbeat;
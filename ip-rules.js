@@ -0,0 +1,109 @@
+const net = require('net');
+
+// CIDR allow/deny rules for visitor addresses, set server-wide by the operator and
+// per tunnel by its client (`ipRules` in the config message). A visitor has to
+// pass both: deny rules always win, and once any allow rule exists only matching
+// addresses get through. Entries are addresses or CIDR ranges, IPv4 or IPv6:
+//
+//   { allow: ['203.0.113.0/24', '2001:db8::/32'], deny: ['203.0.113.7'] }
+//
+// Behind a proxy or Cloudflare the socket peer is the proxy, so the visitor address
+// is taken from CF-Connecting-IP / X-Forwarded-For, but only when the peer is one of
+// the configured trusted proxies; anyone else could simply forge those headers.
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+function buildBlockList(entries) {
+  const blockList = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (!type) throw new Error(`Invalid IP rule '${entry}'`);
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+      continue;
+    }
+
+    const bits = Number(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (type === 'ipv4' ? 32 : 128)) {
+      throw new Error(`Invalid IP rule '${entry}'`);
+    }
+    blockList.addSubnet(address, bits, type);
+  }
+
+  return blockList;
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) match IPv4 rules too
+function matches(blockList, address) {
+  if (!net.isIP(address)) return false;
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+class IPRules {
+  constructor({ allow = [], deny = [] } = {}) {
+    this.allow = toList(allow);
+    this.deny = toList(deny);
+    this.allowList = buildBlockList(this.allow);
+    this.denyList = buildBlockList(this.deny);
+  }
+
+  // Rules from a config message, null when it sets none; throws on bad entries
+  static fromConfig(rules) {
+    if (!rules) return null;
+    const ipRules = new IPRules(rules);
+    return ipRules.allow.length > 0 || ipRules.deny.length > 0 ? ipRules : null;
+  }
+
+  permits(address) {
+    if (matches(this.denyList, address)) return false;
+    return this.allow.length === 0 || matches(this.allowList, address);
+  }
+
+  toJSON() {
+    return { allow: this.allow, deny: this.deny };
+  }
+}
+
+// Client side: the `ipRules` config value from comma-separated lists (TUNNEL_IP_ALLOW / TUNNEL_IP_DENY), or null
+function ipRulesConfig(allow, deny) {
+  const rules = { allow: toList(allow), deny: toList(deny) };
+  return rules.allow.length > 0 || rules.deny.length > 0 ? rules : null;
+}
+
+// (address) => true for configured trusted proxies (addresses or CIDR ranges)
+function trustedProxyMatcher(value) {
+  const blockList = buildBlockList(toList(value));
+  return (address) => matches(blockList, address);
+}
+
+function stripMappedPrefix(address) {
+  return String(address || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// The visitor's address for a request: the socket peer, or what a trusted proxy in front reports.
+// X-Forwarded-For is walked from the right, skipping hops that are trusted proxies themselves.
+function visitorAddress(remoteAddress, headers, isTrustedProxy) {
+  if (!isTrustedProxy || !isTrustedProxy(remoteAddress)) return stripMappedPrefix(remoteAddress);
+
+  const connectingIp = String(headers['cf-connecting-ip'] || '').trim();
+  if (net.isIP(connectingIp)) return connectingIp;
+
+  const hops = toList(headers['x-forwarded-for']).filter((hop) => net.isIP(hop));
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (i === 0 || !isTrustedProxy(hops[i])) return stripMappedPrefix(hops[i]);
+  }
+  return stripMappedPrefix(remoteAddress);
+}
+
+module.exports = {
+  IPRules,
+  ipRulesConfig,
+  trustedProxyMatcher,
+  visitorAddress
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+
+// Request rate limits and concurrent connection caps for tunnels, configured in the
+// `security.rateLimiting` block of config.json:
+//
+//   "rateLimiting": {
+//     "enabled": true,
+//     "windowMs": 900000,     Counting window
+//     "max": 100,             Requests per visitor IP per tunnel per window
+//     "tunnelMax": 5000,      Requests per tunnel per window, all visitors together
+//     "maxConnections": 50,   Open connections per tunnel (requests, WebSockets, raw TCP)
+//     "tunnels": { "api": { "max": 1000, "maxConnections": 200 } }   Per-tunnel overrides
+//   }
+//
+// Counts are fixed windows kept in memory, so they start over when the server restarts.
+class RateLimiter {
+  constructor(settings = {}) {
+    this.enabled = !!settings.enabled;
+    this.defaults = {
+      windowMs: settings.windowMs || 900000,
+      max: settings.max || null,
+      tunnelMax: settings.tunnelMax || null,
+      maxConnections: settings.maxConnections || null
+    };
+    this.overrides = settings.tunnels || {};
+    this.windows = new Map(); // key -> { count, resetAt }
+    this.sweepTimer = null;
+  }
+
+  limitsFor(tunnelId) {
+    return { ...this.defaults, ...this.overrides[tunnelId] };
+  }
+
+  // Count a request; null when it may go through, else seconds until the exhausted window resets
+  hit(tunnelId, address) {
+    if (!this.enabled) return null;
+
+    const limits = this.limitsFor(tunnelId);
+    const now = Date.now();
+    const visitor = limits.max ? this.windowFor(`${tunnelId}|${address}`, limits.windowMs, now) : null;
+    const tunnel = limits.tunnelMax ? this.windowFor(tunnelId, limits.windowMs, now) : null;
+
+    const exhausted = [
+      visitor && visitor.count >= limits.max && visitor,
+      tunnel && tunnel.count >= limits.tunnelMax && tunnel
+    ].filter(Boolean);
+    if (exhausted.length > 0) {
+      return Math.ceil((Math.max(...exhausted.map((window) => window.resetAt)) - now) / 1000);
+    }
+
+    if (visitor) visitor.count++;
+    if (tunnel) tunnel.count++;
+    return null;
+  }
+
+  // True when a tunnel with `active` open connections may not take another one
+  connectionsExhausted(tunnelId, active) {
+    if (!this.enabled) return false;
+    const { maxConnections } = this.limitsFor(tunnelId);
+    return !!maxConnections && active >= maxConnections;
+  }
+
+  windowFor(key, windowMs, now) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+      this.scheduleSweep();
+    }
+    return window;
+  }
+
+  // Forget expired windows so one-off visitors do not pile up
+  scheduleSweep() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, window] of this.windows) {
+        if (window.resetAt <= now) this.windows.delete(key);
+      }
+      if (this.windows.size === 0) this.stop();
+    }, 60000);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+// The `security` block of config.json; defaults (rate limiting off, any origin) when the file is missing
+function loadSecurityConfig(file = 'config.json') {
+  const defaults = { allowedOrigins: ['*'], rateLimiting: { enabled: false } };
+  if (!fs.existsSync(file)) return defaults;
+
+  const security = JSON.parse(fs.readFileSync(file, 'utf8')).security || {};
+  return { ...defaults, ...security };
+}
+
+// Options for the cors middleware from `allowedOrigins`; '*' allows any origin
+function corsOptions(allowedOrigins = ['*']) {
+  return allowedOrigins.includes('*') ? {} : { origin: allowedOrigins };
+}
+
+function sendRateLimited(res, retryAfter, error = 'Too many requests') {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error });
+}
+
+// 429 written to a raw socket, for WebSocket upgrades
+function rejectRateLimitedUpgrade(socket, retryAfter, error = 'Too many requests') {
+  if (socket.destroyed) return;
+
+  const body = JSON.stringify({ error });
+  socket.end([
+    'HTTP/1.1 429 Too Many Requests',
+    `Retry-After: ${retryAfter}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+module.exports = {
+  RateLimiter,
+  loadSecurityConfig,
+  corsOptions,
+  sendRateLimited,
+  rejectRateLimitedUpgrade
+};
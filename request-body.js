@@ -0,0 +1,52 @@
+// Request bodies are streamed from the visitor through the tunnel to the local service
+// as they arrive, never held in full by the server. Their size is capped per tunnel:
+// the client asks for a maximum (`maxRequestBody` in the config message) and the
+// server's own maximum, if set, wins when it is lower. A Content-Length over the cap
+// is refused with 413 before any body is read; a chunked body that grows past it is
+// cut off.
+//
+// Visitors sending `Expect: 100-continue` get the 100 only once the request passed the
+// tunnel's checks (auth, IP rules, rate limits, size), so refused uploads never leave
+// the visitor's machine.
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// '10mb', '512kb', '1048576' -> bytes; null when unset
+function parseByteSize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid size '${value}' (use bytes or e.g. 10mb)`);
+  const bytes = Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+  return bytes > 0 ? bytes : null;
+}
+
+// The cap for one tunnel: the lower of the server's and the client's, either may be unset
+function requestBodyLimit(serverMax, tunnelMax) {
+  const limits = [serverMax, tunnelMax].filter((limit) => limit > 0);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+function expectsContinue(req) {
+  return /^100-continue$/i.test(String(req.headers.expect || '').trim());
+}
+
+// Body length announced by Content-Length, or null for chunked / bodyless requests
+function declaredLength(req) {
+  const length = parseInt(req.headers['content-length'], 10);
+  return Number.isNaN(length) ? null : length;
+}
+
+function sendPayloadTooLarge(res, limit) {
+  res.set('Connection', 'close');
+  res.status(413).json({ error: `Request body exceeds the tunnel's ${limit} byte limit` });
+}
+
+module.exports = {
+  parseByteSize,
+  requestBodyLimit,
+  expectsContinue,
+  declaredLength,
+  sendPayloadTooLarge
+};
@@ -0,0 +1,81 @@
+// What the servers do with traffic for a host that matches no tunnel.
+//
+//   strict    Branded 404 page (default)
+//   default   Send it to the tunnel named by `defaultTunnel`
+//   fallback  Legacy behaviour: send it to the first active tunnel
+//
+// Applied the same way to HTTP requests and WebSocket upgrades.
+
+const ROUTING_MODES = ['strict', 'default', 'fallback'];
+
+// Throws on a setting the servers cannot honour, so a typo fails at startup
+function validateRoutePolicy({ routing, defaultTunnel }) {
+  if (!ROUTING_MODES.includes(routing)) {
+    throw new Error(`Unknown routing mode '${routing}' (expected ${ROUTING_MODES.join(', ')})`);
+  }
+  if (routing === 'default' && !defaultTunnel) {
+    throw new Error("Routing mode 'default' needs a default tunnel name (TUNNEL_DEFAULT)");
+  }
+}
+
+// Tunnel id to use for an unmatched host, or null when it should get a 404
+function resolveUnmatched(tunnels, { routing, defaultTunnel }, isActive) {
+  if (routing === 'default') {
+    const tunnel = tunnels.get(defaultTunnel);
+    return tunnel && isActive(tunnel) ? defaultTunnel : null;
+  }
+
+  if (routing === 'fallback') {
+    for (const [id, tunnel] of tunnels) {
+      if (isActive(tunnel)) return id;
+    }
+  }
+
+  return null;
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function notFoundPage(host) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tunnel not found</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0f172a; color: #e2e8f0; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; }
+    main { text-align: center; max-width: 32rem; padding: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+    code { background: #1e293b; padding: 0.15rem 0.4rem; border-radius: 4px; }
+    p { color: #94a3b8; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>🚇 Tunnel not found</h1>
+    <p>There is no active tunnel at <code>${escapeHTML(host)}</code>.</p>
+    <p>Check the URL, or start the tunnel client for this subdomain.</p>
+  </main>
+</body>
+</html>`;
+}
+
+// 404 for an Express request: the branded page for browsers, JSON for API clients
+function sendNotFound(req, res, host) {
+  res.status(404);
+  if (req.accepts(['html', 'json']) === 'html') {
+    res.type('html').send(notFoundPage(host));
+  } else {
+    res.json({ error: 'Tunnel not found', host });
+  }
+}
+
+module.exports = {
+  ROUTING_MODES,
+  validateRoutePolicy,
+  resolveUnmatched,
+  notFoundPage,
+  sendNotFound
+};
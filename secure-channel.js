@@ -0,0 +1,65 @@
+const fs = require('fs');
+const WebSocket = require('ws');
+
+// Control connection from a tunnel client to its server, shared by every client.
+//
+// The server is given as a URL (`serverUrl`, e.g. wss://tunnel.grabr.cc:8080) or
+// the legacy serverHost/serverPort pair, which means plain ws://. For wss://:
+//   caFile       PEM bundle to trust instead of the system CAs (private CA)
+//   fingerprint  SHA-256 fingerprint the server certificate must have; on its own
+//                it replaces CA validation, so self-signed servers work too
+//   certFile, keyFile  Client certificate to authenticate with instead of a token
+// Once any of these is set the client will not talk to the server over plain ws://.
+
+// 'sha256 Fingerprint=AB:CD:...', 'abcd...' -> 'AB:CD:...'
+function normalizeFingerprint(fingerprint) {
+  const hex = String(fingerprint).replace(/^.*=/, '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+  return hex.match(/.{1,2}/g).join(':');
+}
+
+function controlUrl({ serverUrl, serverHost, serverPort, caFile, fingerprint, certFile }) {
+  const url = serverUrl || `ws://${serverHost}:${serverPort}`;
+
+  if (!/^wss?:\/\//i.test(url)) {
+    throw new Error(`Tunnel server URL must start with ws:// or wss:// (got ${url})`);
+  }
+  if ((caFile || fingerprint || certFile) && !/^wss:\/\//i.test(url)) {
+    throw new Error('Refusing to connect over plain ws:// while TLS settings (CA file, fingerprint, client certificate) are configured - use a wss:// server URL');
+  }
+  return url;
+}
+
+function openControlSocket(url, { caFile, fingerprint, certFile, keyFile }) {
+  const options = { followRedirects: false }; // A redirect must never move the tunnel to another scheme or host
+  if (caFile) options.ca = fs.readFileSync(caFile);
+  if (certFile) {
+    options.cert = fs.readFileSync(certFile);
+    options.key = fs.readFileSync(keyFile || certFile); // The key may sit in the same PEM file
+  }
+  if (fingerprint && !caFile) options.rejectUnauthorized = false; // The pin below is the check instead
+
+  const ws = new WebSocket(url, options);
+  if (fingerprint) pinServerCertificate(ws, fingerprint);
+  return ws;
+}
+
+// Abort before 'open' (so before the token is sent) unless the certificate matches the pin
+function pinServerCertificate(ws, fingerprint) {
+  const expected = normalizeFingerprint(fingerprint);
+
+  ws.once('upgrade', (response) => {
+    const certificate = response.socket.getPeerCertificate ? response.socket.getPeerCertificate() : null;
+    const actual = certificate && certificate.fingerprint256;
+
+    if (actual !== expected) {
+      console.error(`❌ Tunnel server certificate ${actual || '(none)'} does not match the pinned fingerprint ${expected}`);
+      ws.terminate();
+    }
+  });
+}
+
+module.exports = {
+  normalizeFingerprint,
+  controlUrl,
+  openControlSocket
+};
@@ -3,26 +3,77 @@ const http = require('http');
 const WebSocket = require('ws');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const cors = require('cors');
+const TokenStore = require('./token-store');
+const SubdomainRegistry = require('./subdomain-registry');
+const Heartbeat = require('./heartbeat');
+const CertificateStore = require('./tls-certs');
+const { parseVisitorAuth, authorizeVisitor, sendUnauthorized, rejectUnauthorizedUpgrade, describeVisitorAuth } = require('./visitor-auth');
+const { IPRules, trustedProxyMatcher, visitorAddress } = require('./ip-rules');
+const { RateLimiter, loadSecurityConfig, corsOptions, sendRateLimited, rejectRateLimitedUpgrade } = require('./rate-limit');
+const { FORWARDED_HEADERS, forwardedHeaders } = require('./forwarded-headers');
+const { validateRoutePolicy, resolveUnmatched, sendNotFound } = require('./route-policy');
+const { DEFAULT_DOMAIN, parseDomains, matchHost, pickDomain, tunnelUrl, normalizeHostname } = require('./base-domains');
 
 class TunnelServer {
   constructor(config = {}) {
     this.config = {
       serverPort: config.serverPort || 8080,
       tunnelPort: config.tunnelPort || 8081,
+      tokensFile: config.tokensFile || 'tokens.json',
+      reservationsFile: config.reservationsFile || 'reservations.json',
+      requireAuth: config.requireAuth !== false,
+      handshakeTimeout: config.handshakeTimeout || 10000,
+      domains: config.domains || DEFAULT_DOMAIN, // Base domains tunnels are served under (see base-domains.js)
+      routing: config.routing || 'strict',       // Unmatched hosts: strict | default | fallback (see route-policy.js)
+      defaultTunnel: config.defaultTunnel || null, // Tunnel that gets unmatched hosts in 'default' mode
+      heartbeatInterval: config.heartbeatInterval || 15000, // Ping each tunnel this often
+      heartbeatTimeout: config.heartbeatTimeout || 10000,   // Evict tunnels whose pong is this late
+      tunnelTls: config.tunnelTls || false, // Serve the tunnel port as wss:// with certificates from certDir
+      certDir: config.certDir || 'certs',   // See tls-certs.js
+      httpsPort: config.httpsPort || null,  // Terminate TLS for visitors on this port; off when unset
+      httpsRedirect: config.httpsRedirect || false, // Redirect plain HTTP visitors to the HTTPS listener
+      ipAllow: config.ipAllow || [],        // Server-wide visitor CIDR rules, on top of each tunnel's own (see ip-rules.js)
+      ipDeny: config.ipDeny || [],
+      trustedProxies: config.trustedProxies || [], // Proxies whose CF-Connecting-IP / X-Forwarded-For name the visitor
+      rateLimiting: config.rateLimiting || { enabled: false }, // Per-visitor/per-tunnel limits (see rate-limit.js)
+      allowedOrigins: config.allowedOrigins || ['*'], // CORS origins for /health and /dashboard
       ...config
     };
+    this.config.domains = parseDomains(this.config.domains);
+    validateRoutePolicy(this.config);
+    this.ipRules = new IPRules({ allow: this.config.ipAllow, deny: this.config.ipDeny });
+    this.isTrustedProxy = trustedProxyMatcher(this.config.trustedProxies);
+    this.rateLimiter = new RateLimiter(this.config.rateLimiting);
     
     this.app = express();
     this.server = http.createServer(this.app);
+    this.httpsServer = null;
+    this.certificates = null;
+    if (this.config.httpsPort || this.config.tunnelTls) {
+      this.certificates = new CertificateStore(this.config.certDir, { defaultHostname: this.config.domains[0] });
+    }
+    if (this.config.httpsPort) {
+      this.httpsServer = this.certificates.createServer(this.app);
+    }
     this.wss = null; // Will be created in start()
     this.tunnelClients = new Map();
+    this.tokenStore = new TokenStore(this.config.tokensFile);
+    this.subdomainRegistry = new SubdomainRegistry(this.config.reservationsFile);
     
     this.setupMiddleware();
     this.setupProxyRoutes();
   }
 
   setupMiddleware() {
-    this.app.use(cors());
+    if (this.config.httpsPort && this.config.httpsRedirect) {
+      this.app.use((req, res, next) => {
+        if (req.secure) return next();
+        res.redirect(308, this.httpsUrl(req));
+      });
+    }
+
+    // CORS for the server's own endpoints only; tunneled services answer for themselves
+    this.app.use(['/health', '/dashboard'], cors(corsOptions(this.config.allowedOrigins)));
     this.app.use(express.json());
     
     // Health check endpoint
@@ -41,14 +92,21 @@ class TunnelServer {
         connected: client.ws.readyState === WebSocket.OPEN,
         localPort: client.localPort,
         localHost: client.localHost,
+        owner: client.identity,
         connectedAt: client.connectedAt,
-        publicUrl: `http://grabr.cc:${this.config.serverPort}/${id}/`,
-        subdomainUrl: `https://${id}.grabr.cc/`
+        latencyMs: client.heartbeat.latency,
+        lastPongAt: client.heartbeat.lastPongAt,
+        domain: client.domain,
+        publicUrl: this.pathUrl(id, client.domain),
+        subdomainUrl: tunnelUrl(id, client.domain),
+        visitorAuth: describeVisitorAuth(client.visitorAuth),
+        ipRules: client.ipRules
       }));
 
       res.json({
         server: {
           serverPort: this.config.serverPort,
+          httpsPort: this.config.httpsPort,
           tunnelPort: this.config.tunnelPort
         },
         tunnels,
@@ -59,24 +117,48 @@ class TunnelServer {
     });
   }
 
+  httpsUrl(req) {
+    const port = this.config.httpsPort === 443 ? '' : `:${this.config.httpsPort}`;
+    return `https://${normalizeHostname(req.headers.host)}${port}${req.originalUrl}`;
+  }
+
   setupWebSocketServer() {
     this.wss.on('connection', (ws, req) => {
-      let tunnelId = this.generateTunnelId();
-      console.log(`🔗 New tunnel connection: ${tunnelId}`);
+      console.log(`🔗 New tunnel connection from ${req.socket.remoteAddress}`);
 
+      // The client is only registered once its config message has been authenticated
       const client = {
         ws,
-        id: tunnelId,
+        id: null,
+        identity: null,
+        token: null,
         localPort: null,
+        connectHost: req.headers.host,
+        domain: null, // Base domain the tunnel registers under
         connectedAt: new Date().toISOString(),
         requestQueue: []
       };
 
-      this.tunnelClients.set(tunnelId, client);
+      client.heartbeat = new Heartbeat(ws, {
+        interval: this.config.heartbeatInterval,
+        timeout: this.config.heartbeatTimeout,
+        onTimeout: () => {
+          console.log(`💀 Tunnel ${client.id || 'connection'} stopped answering pings - evicting`);
+          ws.terminate();
+        }
+      });
+      client.heartbeat.start();
+
+      const handshakeTimer = setTimeout(() => {
+        if (!client.id) {
+          this.rejectClient(client, 'Handshake timeout: no config message received');
+        }
+      }, this.config.handshakeTimeout);
 
       ws.on('message', (message) => {
         try {
           const data = JSON.parse(message);
+          if (!client.id && data.type !== 'config') return;
           this.handleTunnelMessage(client.id, data, client);
         } catch (error) {
           console.error('Invalid message from client:', error);
@@ -84,50 +166,141 @@ class TunnelServer {
       });
 
       ws.on('close', () => {
-        console.log(`❌ Tunnel disconnected: ${tunnelId}`);
-        this.tunnelClients.delete(tunnelId);
+        clearTimeout(handshakeTimer);
+        client.heartbeat.stop();
+        if (!client.id) return;
+
+        console.log(`❌ Tunnel disconnected: ${client.id}`);
+        this.unregisterClient(client);
       });
 
       ws.on('error', (error) => {
-        console.error(`Tunnel error for ${tunnelId}:`, error);
-        this.tunnelClients.delete(tunnelId);
+        console.error(`Tunnel error for ${client.id || 'unregistered client'}:`, error);
+        this.unregisterClient(client);
       });
 
       // Connection confirmation will be sent after config is received
     });
   }
 
+  unregisterClient(client) {
+    if (client.id && this.tunnelClients.get(client.id) === client) {
+      this.tunnelClients.delete(client.id);
+    }
+  }
+
+  authenticateClient(client, data) {
+    if (!this.config.requireAuth) return true;
+
+    const identity = this.tokenStore.validate(data.token);
+    if (!identity) {
+      this.rejectClient(client, data.token ? 'Invalid or revoked API token' : 'Missing API token');
+      return false;
+    }
+
+    client.identity = identity.name;
+    client.token = data.token;
+    return true;
+  }
+
+  rejectClient(client, message) {
+    console.log(`🚫 Rejected tunnel ${client.id || 'connection'}: ${message}`);
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify({ type: 'auth_error', message }));
+      client.ws.close(4001, 'Unauthorized');
+    }
+  }
+
+  // Drop tunnels whose token was revoked since they connected
+  disconnectRevokedClients() {
+    if (!this.config.requireAuth) return;
+
+    for (const client of this.tunnelClients.values()) {
+      if (client.token && !this.tokenStore.validate(client.token)) {
+        this.rejectClient(client, 'API token revoked');
+      }
+    }
+  }
+
+  // Pick the tunnel id for a newly configured client, honouring reservations
+  claimSubdomain(client, suggestedSubdomain) {
+    if (!suggestedSubdomain) return this.generateTunnelId();
+
+    const suggested = suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '');
+    if (!suggested) return this.generateTunnelId();
+
+    const owner = this.subdomainRegistry.getOwner(suggested);
+    if (owner && owner !== client.identity) {
+      this.denySubdomain(client, suggested, 'reserved', `Subdomain '${suggested}' is reserved by another user`);
+      return this.generateTunnelId();
+    }
+
+    const existing = this.tunnelClients.get(suggested);
+    if (existing) {
+      if (!client.identity || existing.identity !== client.identity) {
+        this.denySubdomain(client, suggested, 'in_use', `Subdomain '${suggested}' is already in use`);
+        return this.generateTunnelId();
+      }
+
+      // The owner reconnected before the old control connection was noticed as dead
+      console.log(`♻️  Reclaiming subdomain ${suggested} from stale connection of ${client.identity}`);
+      this.unregisterClient(existing);
+      existing.ws.terminate();
+    }
+
+    if (client.identity) {
+      this.subdomainRegistry.reserve(suggested, client.identity);
+    }
+
+    console.log(`✨ Using custom subdomain: ${suggested}`);
+    return suggested;
+  }
+
+  denySubdomain(client, subdomain, reason, message) {
+    console.log(`⚠️  ${message} (requested by ${client.identity || 'anonymous client'})`);
+    client.ws.send(JSON.stringify({ type: 'subdomain_denied', subdomain, reason, message }));
+  }
+
   handleTunnelMessage(tunnelId, data, client) {
     if (!client) return;
 
     switch (data.type) {
       case 'config':
-        // Handle subdomain suggestion
-        if (data.suggestedSubdomain) {
-          const suggested = data.suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '');
-          if (suggested && suggested.length > 0 && !this.tunnelClients.has(suggested)) {
-            // Remove old tunnelId entry and use suggested subdomain
-            this.tunnelClients.delete(tunnelId);
-            const newTunnelId = suggested;
-            client.id = newTunnelId;
-            this.tunnelClients.set(newTunnelId, client);
-            console.log(`✨ Using custom subdomain: ${newTunnelId}`);
-            tunnelId = newTunnelId;
-          } else if (this.tunnelClients.has(suggested)) {
-            console.log(`⚠️  Subdomain '${suggested}' already in use, using random: ${tunnelId}`);
-          }
+        if (client.id) break; // Already configured
+
+        if (!this.authenticateClient(client, data)) break;
+
+        // Visitor restrictions fail closed: a tunnel that asked for protection never runs without it
+        try {
+          client.visitorAuth = parseVisitorAuth(data.auth);
+        } catch (error) {
+          this.rejectClient(client, `Invalid visitor auth: ${error.message}`);
+          break;
         }
+        try {
+          client.ipRules = IPRules.fromConfig(data.ipRules);
+        } catch (error) {
+          this.rejectClient(client, `Invalid IP rules: ${error.message}`);
+          break;
+        }
+
+        // Handle subdomain suggestion
+        tunnelId = this.claimSubdomain(client, data.suggestedSubdomain);
+        client.id = tunnelId;
+        this.tunnelClients.set(tunnelId, client);
         
         client.localPort = data.localPort;
         client.localHost = data.localHost || 'localhost';
-        console.log(`📋 Tunnel ${tunnelId} configured for ${client.localHost}:${client.localPort}`);
+        client.domain = pickDomain(data.domain, client.connectHost, this.config.domains);
+        console.log(`📋 Tunnel ${tunnelId} configured for ${client.localHost}:${client.localPort}${client.identity ? ` (owner: ${client.identity})` : ''}`);
         
         // Send connection confirmation after config is processed
         client.ws.send(JSON.stringify({
           type: 'connected',
           tunnelId,
-          publicUrl: `http://grabr.cc:${this.config.serverPort}/${tunnelId}/`,
-          subdomainUrl: `https://${tunnelId}.grabr.cc/`
+          domain: client.domain,
+          publicUrl: this.pathUrl(tunnelId, client.domain),
+          subdomainUrl: tunnelUrl(tunnelId, client.domain)
         }));
         break;
       
@@ -192,12 +365,10 @@ class TunnelServer {
     // Subdomain-based routing (like ngrok)
     this.app.use((req, res, next) => {
       const host = req.get('host') || '';
-      const subdomain = host.split('.')[0];
-      
-
+      const { subdomain } = matchHost(host, this.config.domains);
       
       // Check if this is a subdomain request (tunnel-based)
-      const tunnelClient = this.tunnelClients.get(subdomain);
+      const tunnelClient = subdomain && this.tunnelClients.get(subdomain);
       if (tunnelClient && tunnelClient.ws.readyState === WebSocket.OPEN) {
         console.log(`🌐 Subdomain routing: ${host}${req.path} → tunnel ${subdomain}`);
         this.forwardRequestToTunnel(subdomain, req, res, false); // Use normal tunnel forwarding
@@ -209,12 +380,10 @@ class TunnelServer {
 
     // Root path handler - show server info
     this.app.get('/', (req, res) => {
-      const activeTunnels = Array.from(this.tunnelClients.entries())
-        .filter(([id, client]) => client.ws.readyState === WebSocket.OPEN);
+      const tunnelId = this.resolveUnmatchedTunnel();
       
-      if (activeTunnels.length > 0) {
-        // If there's an active tunnel, redirect to it
-        const [tunnelId] = activeTunnels[0];
+      if (tunnelId) {
+        // Redirect to the tunnel the routing policy picks
         res.redirect(`/${tunnelId}/`);
       } else {
         res.json({
@@ -264,28 +433,54 @@ class TunnelServer {
         return next();
       }
 
-      // Find any active tunnel and forward to it
-      const activeTunnels = Array.from(this.tunnelClients.entries())
-        .filter(([id, client]) => client.ws.readyState === WebSocket.OPEN);
+      // Forward to the tunnel the routing policy picks, if any
+      const tunnelId = this.resolveUnmatchedTunnel();
       
-      if (activeTunnels.length > 0) {
-        const [tunnelId] = activeTunnels[0];
-        console.log(`🔄 Catch-all: ${req.method} ${req.path} → tunnel ${tunnelId}`);
+      if (tunnelId) {
+        console.log(`🔄 Catch-all (${this.config.routing} route): ${req.method} ${req.path} → tunnel ${tunnelId}`);
         this.forwardRequestToTunnel(tunnelId, req, res, true); // Keep original URL
         return;
       }
       
-      // No active tunnels
-      res.status(404).json({ 
-        error: 'No active tunnels available',
-        path: req.path,
-        method: req.method
-      });
+      sendNotFound(req, res, req.get('host') || '');
     });
   }
 
+  // Path-based URL on the main server, e.g. http://grabr.cc:8080/abc123/
+  pathUrl(tunnelId, domain) {
+    return `http://${domain}:${this.config.serverPort}/${tunnelId}/`;
+  }
+
+  // Tunnel for requests whose host and path name no tunnel, per the routing policy
+  resolveUnmatchedTunnel() {
+    return resolveUnmatched(this.tunnelClients, this.config, (client) => client.ws.readyState === WebSocket.OPEN);
+  }
+
+  // Server-wide rules and the tunnel's own must both let the visitor through
+  permitsVisitor(client, address) {
+    if (this.ipRules.permits(address) && (!client.ipRules || client.ipRules.permits(address))) return true;
+    console.log(`⛔ Denied ${address} → tunnel ${client.id}`);
+    return false;
+  }
+
+  // Seconds the visitor should wait when the tunnel's rate limit or connection cap is reached, else null
+  throttleVisitor(client, address) {
+    const active = client.requestQueue.length + (client.webSocketConnections ? client.webSocketConnections.size : 0);
+    if (this.rateLimiter.connectionsExhausted(client.id, active)) return 1;
+    return this.rateLimiter.hit(client.id, address);
+  }
+
   forwardRequestToTunnel(tunnelId, req, res, isAssetRequest = false) {
     const client = this.tunnelClients.get(tunnelId);
+    const address = visitorAddress(req.socket.remoteAddress, req.headers, this.isTrustedProxy);
+    if (!this.permitsVisitor(client, address)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const retryAfter = this.throttleVisitor(client, address);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    if (client.visitorAuth && !authorizeVisitor(client.visitorAuth, req.headers)) {
+      return sendUnauthorized(res, client.visitorAuth, tunnelId);
+    }
     const requestId = this.generateRequestId();
 
     // Store request for response handling
@@ -301,12 +496,18 @@ class TunnelServer {
       targetUrl = req.url.replace(`/${tunnelId}`, '') || '/';
     }
 
+    // The visitor's headers, with X-Forwarded-* / Forwarded describing the visitor
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (!FORWARDED_HEADERS.includes(name)) headers[name] = value;
+    }
+
     const requestData = {
       type: 'request',
       requestId,
       method: req.method,
       url: targetUrl,
-      headers: req.headers,
+      headers: { ...headers, ...forwardedHeaders(req, this.isTrustedProxy) },
       body: req.body
     };
 
@@ -325,7 +526,11 @@ class TunnelServer {
   }
 
   generateTunnelId() {
-    return Math.random().toString(36).substr(2, 8);
+    let tunnelId;
+    do {
+      tunnelId = Math.random().toString(36).substr(2, 8);
+    } while (this.tunnelClients.has(tunnelId) || this.subdomainRegistry.isReserved(tunnelId));
+    return tunnelId;
   }
 
   generateRequestId() {
@@ -335,25 +540,23 @@ class TunnelServer {
   handleWebSocketUpgrade(request, socket, head) {
     try {
       const host = request.headers.host || '';
-      const subdomain = host.split('.')[0];
+      const { subdomain } = matchHost(host, this.config.domains);
       
       console.log(`🔄 WebSocket upgrade request: ${host}${request.url} → checking tunnel ${subdomain}`);
       
       // Check if this is a subdomain request (tunnel-based)
-      const tunnelClient = this.tunnelClients.get(subdomain);
+      const tunnelClient = subdomain && this.tunnelClients.get(subdomain);
       if (tunnelClient && tunnelClient.ws.readyState === WebSocket.OPEN) {
         console.log(`🌐 WSS routing: ${host}${request.url} → tunnel ${subdomain}`);
         this.forwardWebSocketUpgrade(subdomain, request, socket, head);
         return;
       }
       
-      // Check if there's any active tunnel for catch-all
-      const activeTunnels = Array.from(this.tunnelClients.entries())
-        .filter(([id, client]) => client.ws.readyState === WebSocket.OPEN);
+      // Otherwise follow the routing policy, like HTTP requests
+      const tunnelId = this.resolveUnmatchedTunnel();
       
-      if (activeTunnels.length > 0) {
-        const [tunnelId] = activeTunnels[0];
-        console.log(`🔄 WSS Catch-all: ${request.url} → tunnel ${tunnelId}`);
+      if (tunnelId) {
+        console.log(`🔄 WSS Catch-all (${this.config.routing} route): ${request.url} → tunnel ${tunnelId}`);
         this.forwardWebSocketUpgrade(tunnelId, request, socket, head);
         return;
       }
@@ -370,8 +573,36 @@ class TunnelServer {
     }
   }
 
+  rejectUpgrade(socket, statusCode, statusText, body) {
+    if (socket.destroyed) return;
+
+    const json = JSON.stringify(body);
+    socket.end([
+      `HTTP/1.1 ${statusCode} ${statusText}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(json)}`,
+      'Connection: close',
+      '',
+      json
+    ].join('\r\n'));
+  }
+
   forwardWebSocketUpgrade(tunnelId, request, socket, head) {
     const client = this.tunnelClients.get(tunnelId);
+    const address = visitorAddress(request.socket.remoteAddress, request.headers, this.isTrustedProxy);
+    if (!this.permitsVisitor(client, address)) {
+      this.rejectUpgrade(socket, 403, 'Forbidden', { error: 'Access denied' });
+      return;
+    }
+    const retryAfter = this.throttleVisitor(client, address);
+    if (retryAfter) {
+      rejectRateLimitedUpgrade(socket, retryAfter);
+      return;
+    }
+    if (client.visitorAuth && !authorizeVisitor(client.visitorAuth, request.headers)) {
+      rejectUnauthorizedUpgrade(socket, client.visitorAuth, tunnelId);
+      return;
+    }
     const upgradeId = this.generateRequestId();
 
     // Store the socket for the WebSocket connection
@@ -504,13 +735,32 @@ class TunnelServer {
   }
 
   start() {
-    // Start WebSocket server on separate port (direct connection)
-    const tunnelServer = http.createServer();
+    // Start WebSocket server on separate port (direct connection), over TLS (wss://) when configured
+    const tunnelServer = this.config.tunnelTls ? this.certificates.createServer() : http.createServer();
     this.wss = new WebSocket.Server({ server: tunnelServer });
     this.setupWebSocketServer();
+
+    // Pick up token revocations without a restart
+    this.tokenStore.watch();
+    this.tokenStore.on('change', () => this.disconnectRevokedClients());
+    this.subdomainRegistry.watch();
+    if (this.config.requireAuth && this.tokenStore.activeCount() === 0) {
+      console.log(`⚠️  No API tokens in ${this.tokenStore.filePath} - create one with: node token-store.js create <name>`);
+    }
     
+    // Renewed or added certificates apply to new handshakes without a restart
+    if (this.certificates) {
+      this.certificates.watch();
+      if (this.certificates.size === 0) {
+        console.log(`⚠️  No certificates in ${this.certificates.dir} - TLS handshakes will fail until some are added`);
+      }
+    }
+
     tunnelServer.listen(this.config.tunnelPort, () => {
-      console.log(`🔌 WebSocket server running on port ${this.config.tunnelPort} (direct)`);
+      console.log(`🔌 WebSocket server running on port ${this.config.tunnelPort} (direct${this.config.tunnelTls ? ', wss' : ''})`);
+      if (this.config.tunnelTls && this.certificates.defaultFingerprint()) {
+        console.log(`📌 Pin with TUNNEL_SERVER_FINGERPRINT=${this.certificates.defaultFingerprint()}`);
+      }
     });
     
     // Add WebSocket upgrade handling for tunneled WSS connections
@@ -522,19 +772,46 @@ class TunnelServer {
     this.server.listen(this.config.serverPort, () => {
       console.log(`🚀 HTTP server running on port ${this.config.serverPort} (via Cloudflare)`);
       console.log(`📊 Dashboard: http://localhost:${this.config.serverPort}/dashboard`);
-      console.log(`🌐 Public Dashboard: https://grabr.cc/dashboard`);
+      console.log(`🌐 Public Dashboard: https://${this.config.domains[0]}/dashboard`);
     });
+
+    if (this.httpsServer) {
+      this.httpsServer.on('upgrade', (request, socket, head) => {
+        this.handleWebSocketUpgrade(request, socket, head);
+      });
+      this.httpsServer.listen(this.config.httpsPort, () => {
+        console.log(`🔒 HTTPS server running on port ${this.config.httpsPort} (${this.certificates.size} certificate(s))`);
+      });
+    }
   }
 }
 
 // Start server if run directly
 if (require.main === module) {
+  const security = loadSecurityConfig(process.env.TUNNEL_CONFIG_FILE || 'config.json');
   const config = {
     serverPort: parseInt(process.env.SERVER_PORT) || 8080,
-    tunnelPort: parseInt(process.env.TUNNEL_PORT) || 8081
+    tunnelPort: parseInt(process.env.TUNNEL_PORT) || 8081,
+    tokensFile: process.env.TUNNEL_TOKENS_FILE || 'tokens.json',
+    reservationsFile: process.env.TUNNEL_RESERVATIONS_FILE || 'reservations.json',
+    requireAuth: process.env.TUNNEL_AUTH !== 'off',
+    domains: process.env.TUNNEL_DOMAINS || DEFAULT_DOMAIN,
+    routing: process.env.TUNNEL_ROUTING || 'strict',
+    defaultTunnel: process.env.TUNNEL_DEFAULT || null,
+    heartbeatInterval: parseInt(process.env.TUNNEL_HEARTBEAT_INTERVAL) * 1000 || 15000,
+    heartbeatTimeout: parseInt(process.env.TUNNEL_HEARTBEAT_TIMEOUT) * 1000 || 10000,
+    tunnelTls: process.env.TUNNEL_TLS === 'on',
+    certDir: process.env.TUNNEL_CERT_DIR || 'certs',
+    httpsPort: parseInt(process.env.HTTPS_PORT) || null,
+    httpsRedirect: process.env.TUNNEL_HTTPS_REDIRECT === 'on',
+    ipAllow: process.env.TUNNEL_GLOBAL_IP_ALLOW || [],
+    ipDeny: process.env.TUNNEL_GLOBAL_IP_DENY || [],
+    trustedProxies: process.env.TUNNEL_TRUSTED_PROXIES || [],
+    rateLimiting: security.rateLimiting,
+    allowedOrigins: security.allowedOrigins
   };
 
-  console.log(`🔧 Starting with config: HTTP=${config.serverPort}, WebSocket=${config.tunnelPort}`);
+  console.log(`🔧 Starting with config: HTTP=${config.serverPort}${config.httpsPort ? `, HTTPS=${config.httpsPort}` : ''}, WebSocket=${config.tunnelPort}`);
   
   const server = new TunnelServer(config);
   server.start();
@@ -0,0 +1,101 @@
+const { Duplex } = require('stream');
+
+// Two connected in-memory sockets: bytes written to one are read from the other, with
+// backpressure both ways. The TCP server hands one end to an http.Agent as a pooled
+// connection and relays the other through a tunnel stream like any visitor socket, so
+// Node's own HTTP client frames requests and parses responses on tunneled connections.
+//
+// Besides the stream API the ends offer what http.Agent expects of a net.Socket:
+// setTimeout (idle timeout, used for the pool's idle limit), setKeepAlive, setNoDelay,
+// ref/unref and destroySoon.
+class PairedSocket extends Duplex {
+  constructor() {
+    super({ allowHalfOpen: false });
+    this.peer = null;
+    this.blockedWrite = null; // The peer's write callback, held while our read buffer is full
+    this.connecting = false;
+    this.timeout = 0;
+    this.idleTimer = null;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.touch();
+    this.peer.touch();
+    if (this.peer.push(chunk)) {
+      callback();
+    } else {
+      this.peer.blockedWrite = callback;
+    }
+  }
+
+  _read() {
+    const callback = this.blockedWrite;
+    this.blockedWrite = null;
+    if (callback) callback();
+  }
+
+  _final(callback) {
+    this.peer.push(null);
+    callback();
+  }
+
+  _destroy(error, callback) {
+    clearTimeout(this.idleTimer);
+    if (!this.peer.destroyed) this.peer.destroy();
+    callback(error);
+  }
+
+  // Emit 'timeout' after `ms` without reads or writes, like net.Socket; 0 turns it off
+  // and, as there, removes `callback` (http.ClientRequest does this after every request)
+  setTimeout(ms, callback) {
+    this.timeout = ms;
+    if (callback) {
+      if (ms === 0) this.removeListener('timeout', callback);
+      else this.once('timeout', callback);
+    }
+    this.touch();
+    return this;
+  }
+
+  touch() {
+    clearTimeout(this.idleTimer);
+    if (this.timeout > 0 && !this.destroyed) {
+      this.idleTimer = setTimeout(() => this.emit('timeout'), this.timeout);
+      this.idleTimer.unref();
+    }
+  }
+
+  destroySoon() {
+    if (this.writableFinished) return this.destroy();
+    this.once('finish', () => this.destroy());
+    this.end();
+  }
+
+  setKeepAlive() {
+    return this;
+  }
+
+  setNoDelay() {
+    return this;
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+}
+
+function socketPair() {
+  const a = new PairedSocket();
+  const b = new PairedSocket();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+module.exports = {
+  socketPair
+};
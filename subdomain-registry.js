@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+// Persistent subdomain reservations owned by a token identity.
+// A subdomain is reserved the first time an authenticated client claims it and
+// stays with that owner across reconnects and server restarts until released.
+class SubdomainRegistry {
+  constructor(filePath = 'reservations.json') {
+    this.filePath = path.resolve(filePath);
+    this.reservations = new Map(); // subdomain -> { owner, reservedAt }
+    this.watching = false;
+    this.load();
+  }
+
+  load() {
+    this.reservations.clear();
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [subdomain, entry] of Object.entries(data.reservations || {})) {
+        if (entry && entry.owner) {
+          this.reservations.set(subdomain, { owner: entry.owner, reservedAt: entry.reservedAt || null });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load reservations file ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    const reservations = Object.fromEntries(this.reservations);
+    fs.writeFileSync(this.filePath, JSON.stringify({ reservations }, null, 2));
+  }
+
+  // Reload when the file is edited, e.g. by the release command below
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: 1000 }, () => this.load());
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  getOwner(subdomain) {
+    const entry = this.reservations.get(subdomain);
+    return entry ? entry.owner : null;
+  }
+
+  isReserved(subdomain) {
+    return this.reservations.has(subdomain);
+  }
+
+  reserve(subdomain, owner) {
+    const current = this.getOwner(subdomain);
+    if (current && current !== owner) return false;
+    if (current === owner) return true;
+
+    this.reservations.set(subdomain, { owner, reservedAt: new Date().toISOString() });
+    this.save();
+    console.log(`📌 Reserved subdomain ${subdomain} for ${owner}`);
+    return true;
+  }
+
+  release(subdomain) {
+    if (!this.reservations.delete(subdomain)) return false;
+    this.save();
+    return true;
+  }
+
+  list() {
+    return Array.from(this.reservations.entries()).map(([subdomain, entry]) => ({ subdomain, ...entry }));
+  }
+}
+
+// CLI for managing reservations: node subdomain-registry.js <list|release> [subdomain]
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  const registry = new SubdomainRegistry(process.env.TUNNEL_RESERVATIONS_FILE || 'reservations.json');
+
+  switch (command) {
+    case 'release':
+      if (!arg) {
+        console.error('Usage: node subdomain-registry.js release <subdomain>');
+        process.exit(1);
+      }
+      console.log(registry.release(arg) ? `🗑️  Released ${arg}` : `⚠️  ${arg} is not reserved`);
+      break;
+
+    case 'list':
+      console.table(registry.list());
+      break;
+
+    default:
+      console.log(`
+📌 Subdomain Reservations
+
+Usage: node subdomain-registry.js <command> [argument]
+
+Commands:
+  list                   List reserved subdomains and their owners
+  release <subdomain>    Release a reservation
+
+Environment Variables:
+  TUNNEL_RESERVATIONS_FILE   Reservations file path (default: reservations.json)
+`);
+  }
+}
+
+module.exports = SubdomainRegistry;
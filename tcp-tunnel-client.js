@@ -1,44 +1,116 @@
 const WebSocket = require('ws');
 const net = require('net');
+const dgram = require('dgram');
 const readline = require('readline');
+const { PROTOCOL_VERSION, FrameType, MessageType, encodeFrame, decodeFrame, decodeWindowIncrement } = require('./frame-protocol');
+const StreamFlow = require('./flow-control');
+const Heartbeat = require('./heartbeat');
+const { controlUrl, openControlSocket } = require('./secure-channel');
+const { visitorAuthConfig } = require('./visitor-auth');
+const { ipRulesConfig } = require('./ip-rules');
+const { parseByteSize } = require('./request-body');
 
 class TCPTunnelClient {
-  constructor(localPort = 3000, suggestedSubdomain = null) {
+  constructor(localPort = 3000, suggestedSubdomain = null, token = process.env.TUNNEL_TOKEN || null, options = {}) {
     this.config = {
       serverHost: '20.193.143.179',
       serverPort: 8080,
+      serverUrl: options.serverUrl || process.env.TUNNEL_SERVER_URL || null, // ws:// or wss:// URL; overrides host/port
+      caFile: options.caFile || process.env.TUNNEL_CA_FILE || null,             // Extra CA bundle for wss://
+      fingerprint: options.fingerprint || process.env.TUNNEL_SERVER_FINGERPRINT || null, // Pinned server certificate (SHA-256)
+      certFile: options.certFile || process.env.TUNNEL_CLIENT_CERT || null, // Client certificate, instead of a token
+      keyFile: options.keyFile || process.env.TUNNEL_CLIENT_KEY || null,
       localPort: localPort,
       localHost: 'localhost',
-      suggestedSubdomain: suggestedSubdomain
+      suggestedSubdomain: suggestedSubdomain,
+      token: token,
+      domain: options.domain || process.env.TUNNEL_DOMAIN || null, // Base domain to register under; the server's default if unset
+      publicTcpPort: options.publicTcpPort === undefined ? null : options.publicTcpPort, // Port number, 0 for random, null for none
+      publicUdpPort: options.publicUdpPort === undefined ? null : options.publicUdpPort, // Same, datagrams go to localPort over UDP
+      tlsPassthrough: options.tlsPassthrough || process.env.TUNNEL_TLS_PASSTHROUGH === 'on', // Local service terminates TLS itself
+      preserveHost: options.preserveHost || process.env.TUNNEL_PRESERVE_HOST === 'on', // Keep the public Host header instead of localhost:<port>
+      maxRequestBody: parseByteSize(options.maxRequestBody || process.env.TUNNEL_MAX_REQUEST_BODY), // Refuse larger uploads, e.g. '100mb'
+      poolSize: options.poolSize === undefined ? parseInt(process.env.TUNNEL_POOL_SIZE) : options.poolSize, // Idle keep-alive connections to keep to localPort; 0 for none, unset for the server's default
+      poolIdleTimeout: options.poolIdleTimeout || parseInt(process.env.TUNNEL_POOL_IDLE_TIMEOUT) * 1000 || null, // Close them after this long idle
+      visitorAuth: options.visitorAuth || // { basic: [{ username, password }], bearer } required from visitors
+        visitorAuthConfig(process.env.TUNNEL_VISITOR_BASIC_AUTH, process.env.TUNNEL_VISITOR_TOKEN),
+      ipRules: options.ipRules || // { allow: [cidr], deny: [cidr] } checked against visitor addresses
+        ipRulesConfig(process.env.TUNNEL_IP_ALLOW, process.env.TUNNEL_IP_DENY),
+      customDomains: options.customDomains || parseList(process.env.TUNNEL_CUSTOM_DOMAINS), // Own hostnames CNAMEd at the server
+      reconnectDelay: options.reconnectDelay || 1000,      // First reconnect backoff, doubled per failed attempt
+      maxReconnectDelay: options.maxReconnectDelay || 30000,
+      heartbeatInterval: options.heartbeatInterval || 15000, // Ping the server this often
+      heartbeatTimeout: options.heartbeatTimeout || 10000    // Reconnect when a pong is this late
     };
+    controlUrl(this.config); // Throws on an unusable or downgraded server URL before anything connects
     
     this.ws = null;
     this.tunnelId = null;
     this.isConnected = false;
-    this.tcpConnections = new Map(); // Track TCP connections to local server
+    this.subdomainDenied = false;
+    this.protocolVersion = 1; // Upgraded when the server confirms binary framing
+    this.tcpConnections = new Map(); // connectionId -> { socket, flow } for connections to local server
+    this.udpSessions = new Map(); // sessionId -> UDP socket talking to the local service for one remote peer
+    this.resumeToken = null; // Issued by the server; presented on reconnect to get the same tunnel back
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.shouldReconnect = true;
   }
 
   connect() {
-    const wsUrl = `ws://${this.config.serverHost}:${this.config.serverPort}`;
+    this.shouldReconnect = true;
+    const wsUrl = controlUrl(this.config);
     console.log(`🔌 Connecting to tunnel server: ${wsUrl}`);
     
-    this.ws = new WebSocket(wsUrl);
+    const ws = openControlSocket(wsUrl, this.config);
+    this.ws = ws;
+    this.heartbeat = new Heartbeat(ws, {
+      interval: this.config.heartbeatInterval,
+      timeout: this.config.heartbeatTimeout,
+      onTimeout: () => {
+        console.log('💀 Tunnel server stopped answering pings - reconnecting');
+        ws.terminate();
+      }
+    });
     
     this.ws.on('open', () => {
+      this.heartbeat.start();
       console.log('✅ Connected to tunnel server');
+      this.subdomainDenied = false;
+      this.protocolVersion = 1;
       this.isConnected = true;
       
       // Send configuration
       this.sendMessage({
         type: 'config',
+        protocolVersion: PROTOCOL_VERSION,
         localPort: this.config.localPort,
         localHost: this.config.localHost,
-        suggestedSubdomain: this.config.suggestedSubdomain
+        suggestedSubdomain: this.config.suggestedSubdomain,
+        token: this.config.token,
+        domain: this.config.domain,
+        publicTcpPort: this.config.publicTcpPort,
+        publicUdpPort: this.config.publicUdpPort,
+        customDomains: this.config.customDomains,
+        auth: this.config.visitorAuth,
+        ipRules: this.config.ipRules,
+        tlsPassthrough: this.config.tlsPassthrough,
+        preserveHost: this.config.preserveHost,
+        maxRequestBody: this.config.maxRequestBody,
+        poolSize: this.config.poolSize,
+        poolIdleTimeout: this.config.poolIdleTimeout,
+        resumeToken: this.resumeToken,
+        streams: this.getStreamOffsets()
       });
     });
     
-    this.ws.on('message', (message) => {
+    this.ws.on('message', (message, isBinary) => {
       try {
+        if (isBinary) {
+          this.handleServerFrame(decodeFrame(message));
+          return;
+        }
+
         const data = JSON.parse(message);
         this.handleServerMessage(data);
       } catch (error) {
@@ -49,11 +121,20 @@ class TCPTunnelClient {
     this.ws.on('close', () => {
       console.log('❌ Disconnected from tunnel server');
       this.isConnected = false;
-      // Close all TCP connections
-      for (const [connId, socket] of this.tcpConnections) {
-        socket.destroy();
+      this.heartbeat.stop();
+
+      if (this.resumeToken && this.shouldReconnect) {
+        // Hold local connections until we know whether the server resumed the session
+        for (const { socket } of this.tcpConnections.values()) {
+          socket.pause();
+        }
+      } else {
+        this.closeLocalConnections();
+      }
+
+      if (this.shouldReconnect) {
+        this.scheduleReconnect();
       }
-      this.tcpConnections.clear();
     });
     
     this.ws.on('error', (error) => {
@@ -64,87 +145,295 @@ class TCPTunnelClient {
   handleServerMessage(data) {
     switch (data.type) {
       case 'connected':
+        this.reconnectAttempts = 0;
+        this.resumeToken = data.resumeToken || null;
+
+        if (data.resumed) {
+          this.resumeStreams(data.streams || {});
+          console.log(`♻️  Tunnel ${this.tunnelId} resumed (${this.tcpConnections.size} connection(s) kept)`);
+          break;
+        }
+
+        // A fresh session: nothing the old server side knew about is still valid
+        this.closeLocalConnections();
         this.tunnelId = data.tunnelId;
+        this.protocolVersion = Math.min(data.protocolVersion || 1, PROTOCOL_VERSION);
         console.log(`🌐 Tunnel established!`);
         console.log(`📍 Tunnel ID: ${this.tunnelId}`);
         
-        if (this.config.suggestedSubdomain) {
-          if (this.tunnelId === this.config.suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '')) {
-            console.log(`✨ Using your custom subdomain: ${this.tunnelId}`);
-          } else {
-            console.log(`⚠️  Custom subdomain unavailable, using: ${this.tunnelId}`);
-          }
+        if (this.config.suggestedSubdomain && !this.subdomainDenied) {
+          console.log(`✨ Using your custom subdomain: ${this.tunnelId}`);
         }
         
         console.log(`🌐 Subdomain URL: ${data.subdomainUrl}`);
+        if (data.tcpAddress) {
+          console.log(`🔌 Public TCP: ${data.tcpAddress}`);
+        }
+        if (data.udpAddress) {
+          console.log(`📡 Public UDP: ${data.udpAddress}`);
+        }
+        if (this.config.visitorAuth) {
+          console.log('🔒 Visitors must authenticate before reaching your service');
+        }
+        if (this.config.ipRules) {
+          const { allow = [], deny = [] } = this.config.ipRules;
+          console.log(`⛔ Visitor IP rules: allow ${[].concat(allow).join(', ') || 'any'}; deny ${[].concat(deny).join(', ') || 'none'}`);
+        }
+        if (data.maxRequestBody) {
+          console.log(`📦 Request bodies limited to ${data.maxRequestBody} bytes`);
+        }
+        if (data.passthroughUrl) {
+          console.log(`🔐 TLS passthrough: ${data.passthroughUrl} (end-to-end encrypted)`);
+        }
         console.log(`⬅️  Local: http://${this.config.localHost}:${this.config.localPort}`);
         break;
 
+      case 'subdomain_denied':
+        // Sent before 'connected' when the requested name is reserved or in use
+        this.subdomainDenied = true;
+        console.log(`⚠️  ${data.message} - a random subdomain will be used instead`);
+        break;
+
+      case 'tcp_port_denied':
+        console.log(`⚠️  Public TCP port unavailable: ${data.message}`);
+        break;
+
+      case 'udp_port_denied':
+        console.log(`⚠️  Public UDP port unavailable: ${data.message}`);
+        break;
+
+      case 'tls_passthrough_denied':
+        console.log(`⚠️  ${data.message} - the tunnel is served over HTTP(S) instead`);
+        break;
+
+      case 'custom_domain':
+        if (data.status === 'verified') {
+          console.log(`🏷️  Custom domain: ${data.url}`);
+        } else if (data.status === 'pending') {
+          console.log(`⏳ ${data.message}:`);
+          console.log(`   ${data.txtName}  TXT  "${data.txtValue}"`);
+        } else {
+          console.log(`⚠️  Custom domain ${data.hostname} denied: ${data.message}`);
+        }
+        break;
+
+      case 'auth_error':
+        console.error(`❌ Authentication failed: ${data.message}`);
+        console.log('💡 Set TUNNEL_TOKEN to an API token issued by the server operator');
+        this.disconnect();
+        process.exit(1);
+        break;
+
       case 'tcp_connect':
-        this.handleTCPConnect(data);
+        this.handleTCPConnect(data.connectionId, data.host, data.port, data.data ? Buffer.from(data.data, 'base64') : null);
+        break;
+
+      case 'tcp_data':
+        this.handleTCPData(data.connectionId, Buffer.from(data.data, 'base64'));
+        break;
+
+      case 'tcp_close':
+        this.handleTCPClose(data.connectionId);
+        break;
+    }
+  }
+
+  // Binary stream frames (protocol v2); CONNECT always targets the configured local service
+  handleServerFrame(frame) {
+    switch (frame.type) {
+      case FrameType.CONNECT:
+        this.handleTCPConnect(frame.streamId, this.config.localHost, this.config.localPort, frame.payload);
+        break;
+
+      case FrameType.DATA:
+        this.handleTCPData(frame.streamId, frame.payload);
+        break;
+
+      case FrameType.CLOSE:
+        if (this.udpSessions.has(frame.streamId)) {
+          this.closeUDPSession(frame.streamId);
+        } else {
+          this.handleTCPClose(frame.streamId);
+        }
         break;
+
+      case FrameType.DATAGRAM:
+        this.handleUDPDatagram(frame.streamId, frame.payload);
+        break;
+
+      case FrameType.WINDOW: {
+        const connection = this.tcpConnections.get(frame.streamId);
+        if (connection) {
+          connection.flow.handleWindow(decodeWindowIncrement(frame.payload));
+        }
+        break;
+      }
     }
   }
 
-  handleTCPConnect(data) {
-    console.log(`🔗 New TCP connection: ${data.connectionId} → ${data.host}:${data.port}`);
+  handleTCPConnect(connectionId, host, port, initialData) {
+    console.log(`🔗 New TCP connection: ${connectionId} → ${host}:${port}`);
     
     // Create TCP connection to local server
     const socket = new net.Socket();
-    this.tcpConnections.set(data.connectionId, socket);
+    const flow = new StreamFlow(
+      (type, payload) => this.sendStreamFrame(type, connectionId, payload),
+      { enabled: this.protocolVersion >= 3 }
+    );
+    const connection = { socket, flow };
+    this.tcpConnections.set(connectionId, connection);
     
-    socket.connect(data.port, data.host, () => {
-      console.log(`✅ Connected to local TCP server: ${data.host}:${data.port}`);
-      
-      // Send initial data if present
-      if (data.data) {
-        const buffer = Buffer.from(data.data, 'base64');
-        socket.write(buffer);
-      }
+    socket.connect(port, host, () => {
+      console.log(`✅ Connected to local TCP server: ${host}:${port}`);
     });
     
-    socket.on('data', (buffer) => {
-      // Forward data back to tunnel server
-      this.sendMessage({
-        type: 'tcp_data',
-        connectionId: data.connectionId,
-        data: buffer.toString('base64')
-      });
-    });
+    // Queue initial data right away so DATA frames arriving before the connection is up land after it
+    if (initialData && initialData.length > 0) {
+      socket.write(initialData);
+    }
+    
+    // Forward data back to tunnel server, pausing the local socket when the server's window is full
+    flow.attachSource(socket);
     
     socket.on('close', () => {
-      console.log(`🔌 TCP connection closed: ${data.connectionId}`);
-      this.tcpConnections.delete(data.connectionId);
+      console.log(`🔌 TCP connection closed: ${connectionId}`);
+      if (this.tcpConnections.get(connectionId) !== connection) return;
+      this.tcpConnections.delete(connectionId);
       
       // Notify server
-      this.sendMessage({
-        type: 'tcp_close',
-        connectionId: data.connectionId
-      });
+      this.sendStreamFrame(FrameType.CLOSE, connectionId);
     });
     
     socket.on('error', (error) => {
-      console.error(`❌ TCP connection error for ${data.connectionId}:`, error.message);
-      this.tcpConnections.delete(data.connectionId);
+      console.error(`❌ TCP connection error for ${connectionId}:`, error.message);
+      this.tcpConnections.delete(connectionId);
       
       // Notify server
-      this.sendMessage({
-        type: 'tcp_close',
-        connectionId: data.connectionId,
-        error: error.message
-      });
+      this.sendStreamFrame(FrameType.CLOSE, connectionId, Buffer.from(error.message));
     });
   }
 
+  handleTCPData(connectionId, buffer) {
+    const connection = this.tcpConnections.get(connectionId);
+    if (connection && !connection.socket.destroyed) {
+      connection.flow.deliver(connection.socket, buffer);
+    }
+  }
+
+  handleTCPClose(connectionId) {
+    const connection = this.tcpConnections.get(connectionId);
+    if (connection) {
+      this.tcpConnections.delete(connectionId);
+      connection.socket.destroy();
+    }
+  }
+
+  // A dedicated local socket per session lets replies be matched to the remote peer
+  handleUDPDatagram(sessionId, datagram) {
+    let socket = this.udpSessions.get(sessionId);
+    if (!socket) {
+      console.log(`📡 New UDP session: ${sessionId} → ${this.config.localHost}:${this.config.localPort}`);
+      socket = dgram.createSocket('udp4');
+      this.udpSessions.set(sessionId, socket);
+
+      socket.on('message', (reply) => {
+        this.sendStreamFrame(FrameType.DATAGRAM, sessionId, reply);
+      });
+
+      socket.on('error', (error) => {
+        console.error(`❌ UDP session error for ${sessionId}:`, error.message);
+        this.closeUDPSession(sessionId);
+        this.sendStreamFrame(FrameType.CLOSE, sessionId, Buffer.from(error.message));
+      });
+    }
+
+    socket.send(datagram, this.config.localPort, this.config.localHost);
+  }
+
+  closeUDPSession(sessionId) {
+    const socket = this.udpSessions.get(sessionId);
+    if (socket) {
+      this.udpSessions.delete(sessionId);
+      socket.close();
+    }
+  }
+
+  // Send a stream message as a binary frame (v2) or a base64 JSON message (v1)
+  sendStreamFrame(type, connectionId, payload) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    if (this.protocolVersion >= 2) {
+      this.ws.send(encodeFrame(type, connectionId, payload));
+      return;
+    }
+
+    const message = { type: MessageType[type], connectionId };
+    if (type === FrameType.CLOSE) {
+      if (payload) message.error = payload.toString();
+    } else if (payload) {
+      message.data = payload.toString('base64');
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
   sendMessage(data) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(data));
     }
   }
 
+  // Bytes received on each open connection, so the server can tell which survived a drop
+  getStreamOffsets() {
+    const streams = {};
+    for (const [connectionId, { flow }] of this.tcpConnections) {
+      streams[connectionId] = flow.bytesReceived;
+    }
+    return streams;
+  }
+
+  // Keep the connections the server still has and that lost no bytes in either direction
+  resumeStreams(surviving) {
+    for (const [connectionId, connection] of this.tcpConnections) {
+      if (surviving[connectionId] === connection.flow.bytesSent) {
+        connection.flow.reattach();
+        if (!connection.socket.destroyed) connection.socket.resume();
+      } else {
+        this.tcpConnections.delete(connectionId);
+        connection.socket.destroy();
+        this.sendStreamFrame(FrameType.CLOSE, connectionId);
+      }
+    }
+  }
+
+  closeLocalConnections() {
+    for (const { socket } of this.tcpConnections.values()) {
+      socket.destroy();
+    }
+    this.tcpConnections.clear();
+    for (const socket of this.udpSessions.values()) {
+      socket.close();
+    }
+    this.udpSessions.clear();
+  }
+
+  // Exponential backoff with jitter so many clients don't reconnect in lockstep after a server restart
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+
+    const backoff = Math.min(this.config.maxReconnectDelay, this.config.reconnectDelay * 2 ** this.reconnectAttempts);
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    this.reconnectAttempts++;
+
+    console.log(`🔄 Reconnecting in ${(delay / 1000).toFixed(1)}s... (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.resumeToken = null;
     if (this.ws) {
-      this.ws.close();
+      this.ws.close(1000, 'Client shutdown'); // Tells the server not to hold the tunnel for a resume
     }
   }
 
@@ -187,6 +476,19 @@ async function ask(question) {
   });
 }
 
+// '' -> no public listener, 'random' -> any free port, otherwise a specific port
+function parsePublicPort(answer) {
+  if (!answer) return null;
+  if (answer.toLowerCase() === 'random') return 0;
+  const port = parseInt(answer);
+  return isNaN(port) ? null : port;
+}
+
+// 'a.com, b.com' -> ['a.com', 'b.com']
+function parseList(value) {
+  return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 async function setupSingleClient(client) {
   // Test local server first
   await client.testLocalServer();
@@ -202,7 +504,7 @@ async function setupSingleClient(client) {
   client.connect();
 }
 
-async function startMultiPortClient(ask, rl) {
+async function startMultiPortClient(ask, rl, token) {
   const clients = [];
   
   console.log('\n🌟 Multi-Port TCP Tunnel Setup');
@@ -213,6 +515,8 @@ async function startMultiPortClient(ask, rl) {
     if (!port) break;
     
     const subdomain = await ask(`Enter subdomain for port ${port} (optional): `) || null;
+    const publicTcpPort = parsePublicPort(await ask(`Expose port ${port} as raw public TCP? (port, "random", or Enter to skip): `));
+    const publicUdpPort = parsePublicPort(await ask(`Expose port ${port} as public UDP? (port, "random", or Enter to skip): `));
     
     // Validate port
     const portNum = parseInt(port);
@@ -224,10 +528,10 @@ async function startMultiPortClient(ask, rl) {
     clients.push({
       port: portNum,
       subdomain: subdomain,
-      client: new TCPTunnelClient(portNum, subdomain)
+      client: new TCPTunnelClient(portNum, subdomain, token, { publicTcpPort, publicUdpPort })
     });
     
-    console.log(`✅ Added: localhost:${port} → ${subdomain || 'random'}.grabr.cc`);
+    console.log(`✅ Added: localhost:${port} → subdomain ${subdomain || '(random)'}`);
   }
   
   rl.close();
@@ -268,25 +572,33 @@ async function startClient() {
 
   console.log('🚀 TCP Tunnel Client\n');
   
+  // A client certificate (TUNNEL_CLIENT_CERT) authenticates on its own
+  const token = process.env.TUNNEL_TOKEN ||
+    (process.env.TUNNEL_CLIENT_CERT ? null : await ask('Enter API token (or set TUNNEL_TOKEN): ')) || null;
   const multiPort = await ask('Tunnel multiple ports? (y/n, default n): ');
   
   if (multiPort.toLowerCase() === 'y') {
-    await startMultiPortClient(ask, rl);
+    await startMultiPortClient(ask, rl, token);
   } else {
     const localPort = await ask('Enter local port to tunnel (default 3000): ') || '3000';
     const suggestedSubdomain = await ask('Enter preferred subdomain (optional, e.g., "myapp"): ') || null;
+    const publicTcpPort = parsePublicPort(await ask('Expose as raw public TCP for databases, SSH, etc.? (port, "random", or Enter to skip): '));
+    const publicUdpPort = parsePublicPort(await ask('Expose as public UDP for DNS, game servers, WireGuard? (port, "random", or Enter to skip): '));
     
     rl.close();
 
     console.log('\n📋 Configuration:');
-    console.log(`   WebSocket: 20.193.143.179:8080 (direct)`);
+    console.log(`   WebSocket: ${process.env.TUNNEL_SERVER_URL || '20.193.143.179:8080 (direct)'}`);
     console.log(`   Local: localhost:${localPort}`);
     if (suggestedSubdomain) {
-      console.log(`   Requested: ${suggestedSubdomain}.grabr.cc`);
+      console.log(`   Requested subdomain: ${suggestedSubdomain}`);
+    }
+    if (process.env.TUNNEL_CUSTOM_DOMAINS) {
+      console.log(`   Custom domains: ${process.env.TUNNEL_CUSTOM_DOMAINS}`);
     }
     console.log('');
 
-    const client = new TCPTunnelClient(parseInt(localPort), suggestedSubdomain);
+    const client = new TCPTunnelClient(parseInt(localPort), suggestedSubdomain, token, { publicTcpPort, publicUdpPort });
     await setupSingleClient(client);
   }
 }
@@ -296,7 +608,7 @@ if (require.main === module) {
   // Quick test mode - skip all prompts
   if (process.argv.includes('--quick')) {
     console.log('🚀 Quick Test Mode - TCP Tunnel Client');
-    console.log('📋 Using defaults: localhost:3008 → claude.grabr.cc\n');
+    console.log('📋 Using defaults: localhost:3008 → subdomain claude\n');
     
     const client = new TCPTunnelClient(3008, 'claude');
     client.connect();
@@ -2,28 +2,124 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
 const cors = require('cors');
+const TokenStore = require('./token-store');
+const SubdomainRegistry = require('./subdomain-registry');
+const CustomDomainRegistry = require('./custom-domains');
+const CertificateStore = require('./tls-certs');
+const ClientCertificateAuthority = require('./client-certs');
+const { parseClientHello } = require('./tls-sni');
+const { parseVisitorAuth, authorizeVisitor, sendUnauthorized, rejectUnauthorizedUpgrade, describeVisitorAuth } = require('./visitor-auth');
+const { IPRules, trustedProxyMatcher, visitorAddress } = require('./ip-rules');
+const { RateLimiter, loadSecurityConfig, corsOptions, sendRateLimited, rejectRateLimitedUpgrade } = require('./rate-limit');
+const { HeaderPolicy, requestRawHeaders, setRawHeaders } = require('./header-policy');
+const { forwardedHeaders, withForwardedHeaders } = require('./forwarded-headers');
+const { parseByteSize, requestBodyLimit, expectsContinue, declaredLength, sendPayloadTooLarge } = require('./request-body');
+const { socketPair } = require('./socket-pair');
+const { PROTOCOL_VERSION, FrameType, MessageType, encodeFrame, decodeFrame, decodeWindowIncrement } = require('./frame-protocol');
+const StreamFlow = require('./flow-control');
+const Heartbeat = require('./heartbeat');
+const { validateRoutePolicy, resolveUnmatched, sendNotFound } = require('./route-policy');
+const { DEFAULT_DOMAIN, parseDomains, normalizeHostname, matchHost, pickDomain, tunnelUrl } = require('./base-domains');
 
 class TCPTunnelServer {
   constructor(config = {}) {
     this.config = {
       serverPort: config.serverPort || 80,
       tunnelPort: config.tunnelPort || 8080,
+      httpsPort: config.httpsPort || null,       // Terminate TLS for visitors on this port; off when unset
+      certDir: config.certDir || 'certs',        // Certificates for the HTTPS listener (see tls-certs.js)
+      httpsRedirect: config.httpsRedirect || false, // Redirect plain HTTP visitors to the HTTPS listener
+      tunnelTls: config.tunnelTls || false,      // Serve the tunnel port as wss:// with certificates from certDir
+      clientCA: config.clientCA || null,         // CA bundle for client certificates on the wss:// port (see client-certs.js)
+      clientCRL: config.clientCRL || null,       // PEM CRL from that CA revoking client certificates
+      requireClientCert: config.requireClientCert || false, // Refuse tunnels without a valid client certificate
+      passthroughPort: config.passthroughPort || null, // Route TLS by SNI to tunnels that terminate it themselves; may equal httpsPort
+      tokensFile: config.tokensFile || 'tokens.json',
+      reservationsFile: config.reservationsFile || 'reservations.json',
+      customDomainsFile: config.customDomainsFile || 'custom-domains.json',
+      resolveTxt: config.resolveTxt || undefined, // DNS TXT lookup for domain verification; replaceable for local testing
+      adminToken: config.adminToken || null,      // Bearer token for the /_admin API; disabled when unset
+      ipAllow: config.ipAllow || [],             // Server-wide visitor CIDR rules, on top of each tunnel's own (see ip-rules.js)
+      ipDeny: config.ipDeny || [],
+      trustedProxies: config.trustedProxies || [], // Proxies whose CF-Connecting-IP / X-Forwarded-For name the visitor
+      rateLimiting: config.rateLimiting || { enabled: false }, // Per-visitor/per-tunnel limits (see rate-limit.js)
+      allowedOrigins: config.allowedOrigins || ['*'], // CORS origins for /health, /dashboard and /_admin
+      maxRequestBody: config.maxRequestBody || null, // Ceiling for each tunnel's request body limit, e.g. '100mb'; none when unset
+      keepAliveTimeout: config.keepAliveTimeout || 5000, // Keep idle visitor connections open this long
+      poolSize: config.poolSize === undefined ? 8 : config.poolSize, // Idle keep-alive connections kept per tunnel to its local service; clients may ask for fewer
+      poolIdleTimeout: config.poolIdleTimeout || 4000, // Close pooled connections idle this long; under the usual 5s keep-alive of local servers
+      requireAuth: config.requireAuth !== false,
+      handshakeTimeout: config.handshakeTimeout || 10000,
+      domains: config.domains || DEFAULT_DOMAIN, // Base domains tunnels are served under (see base-domains.js)
+      routing: config.routing || 'strict',       // Unmatched hosts: strict | default | fallback (see route-policy.js)
+      defaultTunnel: config.defaultTunnel || null, // Tunnel that gets unmatched hosts in 'default' mode
+      resumeGracePeriod: config.resumeGracePeriod || 30000, // Hold a dropped tunnel's name and connections this long
+      heartbeatInterval: config.heartbeatInterval || 15000, // Ping each tunnel this often
+      heartbeatTimeout: config.heartbeatTimeout || 10000,   // Evict tunnels whose pong is this late
+      tcpPortRange: config.tcpPortRange || { min: 20000, max: 20999 }, // Public raw TCP ports clients may request
+      tcpHost: config.tcpHost || '20.193.143.179', // Address reported for raw TCP and UDP listeners
+      udpPortRange: config.udpPortRange || { min: 20000, max: 20999 }, // Public UDP ports clients may request
+      udpSessionTimeout: config.udpSessionTimeout || 60000, // Forget UDP peers idle for this long
+      udpMaxBufferedBytes: config.udpMaxBufferedBytes || 1024 * 1024, // Drop datagrams past this tunnel backlog
       ...config
     };
+    this.config.domains = parseDomains(this.config.domains);
+    this.config.maxRequestBody = parseByteSize(this.config.maxRequestBody);
+    validateRoutePolicy(this.config);
+    this.ipRules = new IPRules({ allow: this.config.ipAllow, deny: this.config.ipDeny });
+    this.isTrustedProxy = trustedProxyMatcher(this.config.trustedProxies);
+    this.rateLimiter = new RateLimiter(this.config.rateLimiting);
+    this.requestHeaderPolicy = new HeaderPolicy({ strip: ['host', 'expect'], keep: ['transfer-encoding'] });
+    this.responseHeaderPolicy = new HeaderPolicy();
+    if ((this.config.clientCA || this.config.requireClientCert) && !(this.config.tunnelTls && this.config.clientCA)) {
+      throw new Error('Client certificates need both a client CA (TUNNEL_CLIENT_CA) and the wss:// tunnel port (TUNNEL_TLS=on)');
+    }
     
     this.app = express();
     this.server = http.createServer(this.app);
+    this.server.on('checkContinue', this.app); // 100 Continue is sent by the handlers, see request-body.js
+    this.server.keepAliveTimeout = this.config.keepAliveTimeout;
+    this.httpsServer = null;
+    this.passthroughServer = null;
+    this.certificates = null;
+    if (this.config.httpsPort || this.config.tunnelTls) {
+      this.certificates = new CertificateStore(this.config.certDir, { defaultHostname: this.config.domains[0] });
+    }
+    if (this.config.httpsPort) {
+      this.httpsServer = this.certificates.createServer(this.app);
+      this.httpsServer.on('checkContinue', this.app);
+      this.httpsServer.keepAliveTimeout = this.config.keepAliveTimeout;
+    }
+    this.clientAuthority = this.config.clientCA
+      ? new ClientCertificateAuthority(this.config.clientCA, { crlFile: this.config.clientCRL })
+      : null;
     this.wss = null;
     this.tunnelClients = new Map();
+    this.tokenStore = new TokenStore(this.config.tokensFile);
+    this.subdomainRegistry = new SubdomainRegistry(this.config.reservationsFile);
+    this.customDomains = new CustomDomainRegistry(this.config.customDomainsFile, { resolveTxt: this.config.resolveTxt });
+    this.nextConnectionId = 1;
+    this.tcpListeners = new Map(); // public port -> tunnel client
+    this.udpListeners = new Map(); // public port -> tunnel client
+    this.resumableSessions = new Map(); // resume token -> tunnel client
     
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
-    this.app.use(cors());
-    this.app.use(express.json());
+    if (this.config.httpsPort && this.config.httpsRedirect) {
+      this.app.use((req, res, next) => {
+        if (req.secure) return next();
+        res.redirect(308, this.httpsUrl(req));
+      });
+    }
+
+    // CORS for the server's own endpoints only; tunneled services answer for themselves
+    this.app.use(['/health', '/dashboard', '/_admin'], cors(corsOptions(this.config.allowedOrigins)));
     
     // Health check
     this.app.get('/health', (req, res) => {
@@ -40,16 +136,88 @@ class TCPTunnelServer {
         id,
         connected: client.ws.readyState === WebSocket.OPEN,
         localPort: client.localPort,
+        owner: client.identity,
         connectedAt: client.connectedAt,
-        subdomainUrl: `https://${id}.grabr.cc/`
+        domain: client.domain,
+        subdomainUrl: tunnelUrl(id, client.domain),
+        customDomains: this.customDomains.hostnamesFor(id).filter((hostname) => this.servesCustomDomain(client, this.customDomains.get(hostname))),
+        tcpAddress: client.tcpPort ? `${this.config.tcpHost}:${client.tcpPort}` : null,
+        udpAddress: client.udpPort ? `${this.config.tcpHost}:${client.udpPort}` : null,
+        tlsPassthrough: !!client.tlsPassthrough,
+        visitorAuth: describeVisitorAuth(client.visitorAuth),
+        ipRules: client.ipRules,
+        maxRequestBody: client.maxRequestBody,
+        pool: this.getPoolMetrics(client),
+        udpSessions: client.udpSessions.size,
+        latencyMs: client.heartbeat.latency,
+        lastPongAt: client.heartbeat.lastPongAt,
+        flow: this.getFlowMetrics(client)
       }));
 
       res.json({
-        server: { status: 'running', port: this.config.serverPort },
+        server: { status: 'running', port: this.config.serverPort, httpsPort: this.config.httpsPort },
         tunnels: tunnels,
         timestamp: new Date().toISOString()
       });
     });
+
+    // Admin API for custom domains
+    this.app.use('/_admin', (req, res, next) => this.requireAdmin(req, res, next));
+    this.app.use('/_admin', express.json());
+
+    this.app.get('/_admin/domains', (req, res) => {
+      res.json({ domains: this.customDomains.list() });
+    });
+
+    this.app.put('/_admin/domains/:hostname', (req, res) => {
+      const { tunnel, owner } = req.body || {};
+      if (!tunnel) return res.status(400).json({ error: 'tunnel is required' });
+
+      try {
+        const entry = this.customDomains.register(req.params.hostname, tunnel, owner || null, { force: true });
+        res.json({
+          ...entry,
+          txtName: CustomDomainRegistry.challengeName(entry.hostname),
+          txtValue: CustomDomainRegistry.challengeValue(entry.token)
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/_admin/domains/:hostname/verify', async (req, res) => {
+      if (!this.customDomains.get(req.params.hostname)) {
+        return res.status(404).json({ error: 'Custom domain not found' });
+      }
+      res.json({ hostname: req.params.hostname, verified: await this.customDomains.verify(req.params.hostname) });
+    });
+
+    this.app.delete('/_admin/domains/:hostname', (req, res) => {
+      if (!this.customDomains.remove(req.params.hostname)) {
+        return res.status(404).json({ error: 'Custom domain not found' });
+      }
+      res.status(204).end();
+    });
+  }
+
+  httpsUrl(req) {
+    const port = this.config.httpsPort === 443 ? '' : `:${this.config.httpsPort}`;
+    return `https://${normalizeHostname(req.headers.host)}${port}${req.originalUrl}`;
+  }
+
+  requireAdmin(req, res, next) {
+    if (!this.config.adminToken) {
+      return res.status(404).json({ error: 'Admin API disabled (set TUNNEL_ADMIN_TOKEN)' });
+    }
+
+    const header = req.get('authorization') || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(this.config.adminToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    if (expectsContinue(req)) res.writeContinue();
+    next();
   }
 
   setupRoutes() {
@@ -70,7 +238,7 @@ class TCPTunnelServer {
         localPort: client.localPort,
         localHost: client.localHost,
         connectedAt: client.connectedAt,
-        subdomainUrl: `https://${id}.grabr.cc/`
+        subdomainUrl: tunnelUrl(id, client.domain)
       }));
 
       res.json({
@@ -89,324 +257,1067 @@ class TCPTunnelServer {
     // Catch-all route for subdomain-based tunneling
     this.app.use((req, res, next) => {
       const host = req.get('host') || '';
-      const subdomain = host.split('.')[0];
+      const route = this.resolveTunnel(host);
       
-      const tunnelClient = this.tunnelClients.get(subdomain);
-      if (tunnelClient && tunnelClient.ws.readyState === WebSocket.OPEN) {
-        console.log(`🌐 HTTP routing: ${host}${req.path} → tunnel ${subdomain}`);
-        this.handleHTTPThroughTunnel(subdomain, req, res);
+      if (route && !route.fallback) {
+        console.log(`🌐 HTTP routing: ${host}${req.path} → tunnel ${route.tunnelId}`);
+        this.handleHTTPThroughTunnel(route.tunnelId, req, res);
         return;
       }
       
-      // Fallback to first active tunnel
-      const activeTunnels = Array.from(this.tunnelClients.entries())
-        .filter(([id, client]) => client.ws.readyState === WebSocket.OPEN);
-      
-      if (activeTunnels.length > 0) {
-        const [tunnelId] = activeTunnels[0];
-        console.log(`🔄 HTTP Catch-all: ${req.method} ${req.path} → tunnel ${tunnelId}`);
-        this.handleHTTPThroughTunnel(tunnelId, req, res);
+      if (route) {
+        console.log(`🔄 HTTP ${this.config.routing} route: ${host}${req.path} → tunnel ${route.tunnelId}`);
+        this.handleHTTPThroughTunnel(route.tunnelId, req, res);
         return;
       }
       
-      res.status(404).json({ error: 'No active tunnels available' });
+      sendNotFound(req, res, host);
     });
   }
 
+  // Pick the tunnel for a Host header, shared by HTTP requests and WebSocket upgrades:
+  // the tunnel named by the subdomain, else whatever the routing policy says
+  resolveTunnel(host) {
+    const tunnelClient = this.matchTunnel(host);
+    if (tunnelClient) {
+      return { tunnelId: tunnelClient.id, fallback: false };
+    }
+    
+    const tunnelId = resolveUnmatched(this.tunnelClients, this.config, (client) => client.ws.readyState === WebSocket.OPEN);
+    return tunnelId ? { tunnelId, fallback: true } : null;
+  }
+
+  // The tunnel a hostname names exactly, without the routing policy: a verified custom
+  // domain first, then <subdomain>.<base domain>
+  matchTunnel(host) {
+    const customDomain = this.customDomains.lookup(host);
+    const { subdomain } = matchHost(host, this.config.domains);
+    const tunnelName = customDomain ? customDomain.tunnel : subdomain;
+    
+    const tunnelClient = tunnelName && this.tunnelClients.get(tunnelName);
+    if (tunnelClient && customDomain && !this.servesCustomDomain(tunnelClient, customDomain)) {
+      console.log(`⚠️  Custom domain ${customDomain.hostname} belongs to ${customDomain.owner || 'another connection'}, not the tunnel now named ${tunnelName}`);
+      return null;
+    }
+    if (tunnelClient && (tunnelClient.ws.readyState === WebSocket.OPEN || tunnelClient.detached)) {
+      return tunnelClient;
+    }
+    return null;
+  }
+
+  // Whether a tunnel holding a custom domain's tunnel name may get its traffic: the owner's
+  // tunnels, any tunnel for ownerless admin registrations, and for anonymous registrations
+  // only the tunnel that made them
+  servesCustomDomain(client, entry) {
+    if (entry.owner) return entry.owner === client.identity;
+    return entry.admin || client.verifiedDomains.has(entry.hostname);
+  }
+
   setupWebSocketServer() {
     this.wss.on('connection', (ws, req) => {
-      let tunnelId = this.generateTunnelId();
-      console.log(`🔗 New tunnel connection: ${tunnelId}`);
+      console.log(`🔗 New tunnel connection from ${req.socket.remoteAddress}`);
 
+      // The client is only registered once its config message has been authenticated
       const client = {
         ws,
-        id: tunnelId,
+        id: null,
+        identity: null,
+        token: null,
         localPort: null,
+        protocolVersion: 1, // Negotiated in the config message
+        connectHost: req.headers.host,
+        certificate: this.clientAuthority ? this.clientAuthority.identify(req.socket) : null, // Client certificate verdict
+        domain: null,       // Base domain the tunnel registers under
         connectedAt: new Date().toISOString(),
-        tcpConnections: new Map() // Track TCP connections
+        tcpConnections: new Map(), // Track TCP connections
+        udpSessions: new Map(),    // sessionId -> { address, port, lastSeen } for public UDP peers
+        udpPeers: new Map(),       // 'address:port' -> sessionId
+        verifiedDomains: new Set() // Custom domains this connection registered and verified
       };
 
-      this.tunnelClients.set(tunnelId, client);
+      // After a session resume this connection drives the original tunnel client
+      const activeClient = () => client.resumedInto || client;
+
+      const heartbeat = new Heartbeat(ws, {
+        interval: this.config.heartbeatInterval,
+        timeout: this.config.heartbeatTimeout,
+        onTimeout: () => {
+          console.log(`💀 Tunnel ${activeClient().id || 'connection'} stopped answering pings - evicting`);
+          ws.terminate();
+        }
+      });
+      client.heartbeat = heartbeat;
+      heartbeat.start();
 
-      ws.on('message', (message) => {
+      const handshakeTimer = setTimeout(() => {
+        if (!activeClient().id) {
+          this.rejectClient(client, 'Handshake timeout: no config message received');
+        }
+      }, this.config.handshakeTimeout);
+
+      ws.on('message', (message, isBinary) => {
         try {
+          const current = activeClient();
+          if (isBinary) {
+            if (current.id) this.handleTunnelFrame(current, decodeFrame(message));
+            return;
+          }
+
           const data = JSON.parse(message);
-          this.handleTunnelMessage(client.id, data, client);
+          if (!current.id && data.type !== 'config') return;
+          this.handleTunnelMessage(current.id, data, current);
         } catch (error) {
           console.error('Invalid message from client:', error);
         }
       });
 
-      ws.on('close', () => {
-        console.log(`❌ Tunnel disconnected: ${tunnelId}`);
-        // Close all TCP connections for this tunnel
-        if (client.tcpConnections) {
-          for (const [connId, socket] of client.tcpConnections) {
-            socket.destroy();
-          }
+      ws.on('close', (code) => {
+        clearTimeout(handshakeTimer);
+        heartbeat.stop();
+        const current = activeClient();
+        if (!current.id || current.ws !== ws) return; // Unconfigured, or already resumed on a newer connection
+
+        // A normal closure means the client shut down on purpose; anything else may be a network drop
+        if (code !== 1000 && this.canResume(current)) {
+          this.detachClient(current);
+          return;
         }
-        this.tunnelClients.delete(tunnelId);
+
+        console.log(`❌ Tunnel disconnected: ${current.id}`);
+        this.unregisterClient(current);
       });
 
+      // 'close' always follows and decides whether the tunnel is kept for a resume
       ws.on('error', (error) => {
-        console.error(`Tunnel error for ${tunnelId}:`, error);
-        this.tunnelClients.delete(tunnelId);
+        console.error(`Tunnel error for ${activeClient().id || 'unregistered client'}:`, error);
       });
     });
   }
 
+  unregisterClient(client) {
+    clearTimeout(client.resumeTimer);
+    clearTimeout(client.certificateTimer);
+    if (client.resumeToken && this.resumableSessions.get(client.resumeToken) === client) {
+      this.resumableSessions.delete(client.resumeToken);
+    }
+    this.closeClientConnections(client);
+    if (client.httpAgent) client.httpAgent.destroy();
+    this.closeTCPListener(client);
+    this.closeUDPListener(client);
+    if (client.id && this.tunnelClients.get(client.id) === client) {
+      this.tunnelClients.delete(client.id);
+    }
+  }
+
+  closeClientConnections(client) {
+    for (const connection of client.tcpConnections.values()) {
+      this.abortConnection(connection);
+    }
+    client.tcpConnections.clear();
+  }
+
+  // Fail a visitor connection without waiting for the local service
+  abortConnection(connection) {
+    clearTimeout(connection.timeout);
+    connection.socket.destroy();
+  }
+
+  canResume(client) {
+    return this.config.resumeGracePeriod > 0 &&
+      !!client.resumeToken &&
+      !client.rejected &&
+      this.tunnelClients.get(client.id) === client;
+  }
+
+  // The control connection dropped: keep the tunnel registered with its visitor sockets
+  // paused, so a client that reconnects within the grace period picks up where it left off
+  detachClient(client) {
+    client.detached = true;
+    for (const connection of client.tcpConnections.values()) {
+      if (connection.socket) connection.socket.pause();
+    }
+
+    console.log(`⏸️  Tunnel ${client.id} lost its control connection - holding it for ${this.config.resumeGracePeriod / 1000}s`);
+    client.resumeTimer = setTimeout(() => {
+      console.log(`❌ Tunnel ${client.id} was not resumed in time, releasing it`);
+      this.unregisterClient(client);
+    }, this.config.resumeGracePeriod);
+  }
+
+  // `streams` maps each connection id the client still has open to the bytes it received on it
+  resumeClient(previous, client, streams) {
+    clearTimeout(previous.resumeTimer);
+    const staleWs = previous.ws;
+    previous.ws = client.ws;
+    previous.heartbeat = client.heartbeat;
+    previous.certificate = client.certificate; // Possibly renewed since the tunnel was created
+    previous.detached = false;
+    this.watchCertificateExpiry(previous);
+    client.resumedInto = previous;
+
+    // The server may not have noticed the old connection die yet
+    if (staleWs !== client.ws && staleWs.readyState !== WebSocket.CLOSED) {
+      staleWs.terminate();
+    }
+
+    // A stream survives only if nothing sent to the client was lost in the drop
+    const surviving = {};
+    for (const [connectionId, connection] of previous.tcpConnections) {
+      if (streams[connectionId] === connection.flow.bytesSent) {
+        connection.flow.reattach();
+        if (connection.socket && !connection.socket.destroyed) connection.socket.resume();
+        surviving[connectionId] = connection.flow.bytesReceived;
+      } else {
+        previous.tcpConnections.delete(connectionId);
+        this.abortConnection(connection);
+      }
+    }
+
+    console.log(`♻️  Tunnel ${previous.id} resumed with ${Object.keys(surviving).length} open connection(s)`);
+    this.sendConnected(previous, { resumed: true, streams: surviving });
+  }
+
+  authenticateClient(client, data) {
+    // A client certificate is a credential of its own; a bad one is refused even alongside a token
+    if (client.certificate && client.certificate.error) {
+      this.rejectClient(client, client.certificate.error);
+      return false;
+    }
+    if (client.certificate) {
+      client.identity = client.certificate.identity;
+      return true;
+    }
+    if (this.config.requireClientCert) {
+      this.rejectClient(client, 'A client certificate is required');
+      return false;
+    }
+
+    if (!this.config.requireAuth) return true;
+
+    const identity = this.tokenStore.validate(data.token);
+    if (!identity) {
+      this.rejectClient(client, data.token ? 'Invalid or revoked API token' : 'Missing API token');
+      return false;
+    }
+
+    client.identity = identity.name;
+    client.token = data.token;
+    return true;
+  }
+
+  rejectClient(client, message) {
+    console.log(`🚫 Rejected tunnel ${client.id || 'connection'}: ${message}`);
+    client.rejected = true;
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify({ type: 'auth_error', message }));
+      client.ws.close(4001, 'Unauthorized');
+    } else if (client.detached) {
+      this.unregisterClient(client);
+    }
+  }
+
+  // Short-lived certificates should not outlive their tunnel; drop it when the certificate expires
+  watchCertificateExpiry(client) {
+    clearTimeout(client.certificateTimer);
+    if (!client.certificate || !client.certificate.expiresAt) return;
+
+    const delay = client.certificate.expiresAt.getTime() - Date.now();
+    if (delay > 0x7fffffff) return; // Beyond setTimeout's range (~24 days); reconnects check again
+    client.certificateTimer = setTimeout(() => this.rejectClient(client, 'Client certificate expired'), Math.max(delay, 0));
+  }
+
+  // Drop tunnels whose token was revoked since they connected
+  disconnectRevokedClients() {
+    if (!this.config.requireAuth) return;
+
+    for (const client of this.tunnelClients.values()) {
+      if (client.token && !this.tokenStore.validate(client.token)) {
+        this.rejectClient(client, 'API token revoked');
+      }
+    }
+  }
+
+  // Pick the tunnel id for a newly configured client, honouring reservations
+  claimSubdomain(client, suggestedSubdomain) {
+    if (!suggestedSubdomain) return this.generateTunnelId();
+
+    const suggested = suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '');
+    if (!suggested) return this.generateTunnelId();
+
+    const owner = this.subdomainRegistry.getOwner(suggested);
+    if (owner && owner !== client.identity) {
+      this.denySubdomain(client, suggested, 'reserved', `Subdomain '${suggested}' is reserved by another user`);
+      return this.generateTunnelId();
+    }
+
+    const existing = this.tunnelClients.get(suggested);
+    if (existing) {
+      if (!client.identity || existing.identity !== client.identity) {
+        this.denySubdomain(client, suggested, 'in_use', `Subdomain '${suggested}' is already in use`);
+        return this.generateTunnelId();
+      }
+
+      // The owner reconnected before the old control connection was noticed as dead
+      console.log(`♻️  Reclaiming subdomain ${suggested} from stale connection of ${client.identity}`);
+      this.unregisterClient(existing);
+      existing.ws.terminate();
+    }
+
+    if (client.identity) {
+      this.subdomainRegistry.reserve(suggested, client.identity);
+    }
+
+    console.log(`✨ Using custom subdomain: ${suggested}`);
+    return suggested;
+  }
+
+  denySubdomain(client, subdomain, reason, message) {
+    console.log(`⚠️  ${message} (requested by ${client.identity || 'anonymous client'})`);
+    client.ws.send(JSON.stringify({ type: 'subdomain_denied', subdomain, reason, message }));
+  }
+
   handleTunnelMessage(tunnelId, data, client) {
     switch (data.type) {
       case 'config':
-        if (data.suggestedSubdomain) {
-          const suggested = data.suggestedSubdomain.toLowerCase().replace(/[^a-z0-9-]/g, '');
-          if (suggested && suggested.length > 0 && !this.tunnelClients.has(suggested)) {
-            this.tunnelClients.delete(tunnelId);
-            client.id = suggested;
-            this.tunnelClients.set(suggested, client);
-            tunnelId = suggested;
-            console.log(`✨ Using custom subdomain: ${suggested}`);
-          }
-        }
-        
-        client.localPort = data.localPort;
-        client.localHost = data.localHost || 'localhost';
-        console.log(`📋 Tunnel ${tunnelId} configured for ${client.localHost}:${client.localPort}`);
-        
-        client.ws.send(JSON.stringify({
-          type: 'connected',
-          tunnelId,
-          subdomainUrl: `https://${tunnelId}.grabr.cc/`
-        }));
+        if (client.id) break; // Already configured
+
+        this.configureClient(client, data).catch((error) => {
+          console.error(`❌ Failed to configure tunnel ${client.id}:`, error);
+        });
         break;
       
       case 'tcp_data':
         // Forward TCP data back to the connection
-        this.forwardTCPData(tunnelId, data);
+        this.forwardTCPData(tunnelId, data.connectionId, Buffer.from(data.data, 'base64'));
         break;
       
       case 'tcp_close':
         // Handle TCP connection close from client
-        this.handleTCPCloseFromClient(tunnelId, data);
+        this.handleTCPCloseFromClient(tunnelId, data.connectionId);
         break;
     }
   }
 
-  handleHTTPThroughTunnel(tunnelId, req, res) {
-    const client = this.tunnelClients.get(tunnelId);
-    if (!client) return res.status(404).json({ error: 'Tunnel not found' });
+  async configureClient(client, data) {
+    if (!this.authenticateClient(client, data)) return;
 
-    // Create a TCP connection for this HTTP request
-    const connectionId = this.generateConnectionId();
-    
-    // Store the HTTP response object
-    client.tcpConnections.set(connectionId, { type: 'http', res, buffer: Buffer.alloc(0) });
+    const previous = data.resumeToken && this.resumableSessions.get(data.resumeToken);
+    if (previous && previous.identity === client.identity && this.canResume(previous)) {
+      this.resumeClient(previous, client, data.streams || {});
+      return;
+    }
+
+    // Visitor restrictions fail closed: a tunnel that asked for protection never runs without it
+    try {
+      client.visitorAuth = parseVisitorAuth(data.auth);
+    } catch (error) {
+      this.rejectClient(client, `Invalid visitor auth: ${error.message}`);
+      return;
+    }
+    try {
+      client.ipRules = IPRules.fromConfig(data.ipRules);
+    } catch (error) {
+      this.rejectClient(client, `Invalid IP rules: ${error.message}`);
+      return;
+    }
 
-    // Build HTTP request string
-    const httpRequest = this.buildHTTPRequest(req, client.localPort);
+    this.watchCertificateExpiry(client);
+    const tunnelId = this.claimSubdomain(client, data.suggestedSubdomain);
+    client.id = tunnelId;
+    this.tunnelClients.set(tunnelId, client);
     
-    console.log(`🔧 DEBUG: Sending HTTP request to client:`, httpRequest.toString().split('\r\n').slice(0, 5).join(' | '));
+    client.localPort = data.localPort;
+    client.localHost = data.localHost || 'localhost';
+    client.preserveHost = !!data.preserveHost; // Pass the public Host header on instead of localhost:<port>
+    client.maxRequestBody = requestBodyLimit(this.config.maxRequestBody, parseInt(data.maxRequestBody) || null);
+    client.httpAgent = this.createHTTPAgent(client, data);
+    client.domain = pickDomain(data.domain, client.connectHost, this.config.domains);
+    client.protocolVersion = Math.min(parseInt(data.protocolVersion) || 1, PROTOCOL_VERSION);
+    console.log(`📋 Tunnel ${tunnelId} configured for ${client.localHost}:${client.localPort} (protocol v${client.protocolVersion})${client.identity ? ` (owner: ${client.identity})` : ''}`);
+
+    // Optional public raw TCP / UDP listeners: a port number, or 0 for any free port in the range
+    if (data.publicTcpPort !== undefined && data.publicTcpPort !== null) {
+      await this.allocatePublicPort(client, 'tcp', data.publicTcpPort);
+    }
+    if (data.publicUdpPort !== undefined && data.publicUdpPort !== null) {
+      if (client.protocolVersion < 4) {
+        this.denyPublicPort(client, 'udp', null, 'UDP tunnels need protocol v4 - update your client');
+      } else {
+        await this.allocatePublicPort(client, 'udp', data.publicUdpPort);
+      }
+    }
+    if (data.tlsPassthrough) {
+      if (!this.config.passthroughPort) {
+        client.ws.send(JSON.stringify({ type: 'tls_passthrough_denied', message: 'TLS passthrough is not enabled on this server' }));
+      } else if (client.visitorAuth) {
+        client.ws.send(JSON.stringify({ type: 'tls_passthrough_denied', message: 'Visitor auth cannot be checked on end-to-end encrypted traffic' }));
+      } else {
+        client.tlsPassthrough = true;
+      }
+    }
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      this.closeTCPListener(client);
+      this.closeUDPListener(client);
+      return;
+    }
+
+    // Lets the client get this tunnel back after a short control-channel drop
+    client.resumeToken = crypto.randomBytes(24).toString('hex');
+    this.resumableSessions.set(client.resumeToken, client);
     
-    // Send TCP connection request to client
+    this.sendConnected(client, { resumed: false });
+
+    if (Array.isArray(data.customDomains)) {
+      for (const hostname of data.customDomains) {
+        await this.registerCustomDomain(client, hostname);
+      }
+    }
+  }
+
+  // Map a customer hostname to this tunnel and try to verify it right away
+  async registerCustomDomain(client, hostname) {
+    const reply = (status, entry, message) => {
+      if (client.ws.readyState !== WebSocket.OPEN) return;
+      client.ws.send(JSON.stringify({
+        type: 'custom_domain',
+        hostname: entry ? entry.hostname : hostname,
+        status,
+        url: status === 'verified' ? `https://${entry.hostname}/` : undefined,
+        txtName: status === 'pending' ? CustomDomainRegistry.challengeName(entry.hostname) : undefined,
+        txtValue: status === 'pending' ? CustomDomainRegistry.challengeValue(entry.token) : undefined,
+        message
+      }));
+    };
+
+    if (matchHost(hostname, this.config.domains).domain) {
+      reply('denied', null, `${hostname} is under a tunnel base domain - request it as a subdomain instead`);
+      return;
+    }
+
+    let entry;
+    try {
+      entry = this.customDomains.register(hostname, client.id, client.identity);
+    } catch (error) {
+      reply('denied', null, error.message);
+      return;
+    }
+    if (!entry) {
+      const existing = this.customDomains.get(hostname);
+      reply('denied', null, existing && existing.admin
+        ? `${hostname} is managed by the server operator`
+        : `${hostname} is registered to another ${existing && existing.owner ? 'user' : 'connection'}`);
+      return;
+    }
+
+    if (await this.customDomains.verify(entry.hostname)) {
+      client.verifiedDomains.add(entry.hostname);
+      console.log(`🏷️  Custom domain ${entry.hostname} → tunnel ${client.id}`);
+      reply('verified', entry, `${entry.hostname} routes to this tunnel`);
+    } else {
+      reply('pending', entry, `Add a TXT record to verify ownership of ${entry.hostname}, then reconnect`);
+    }
+  }
+
+  sendConnected(client, extra) {
     client.ws.send(JSON.stringify({
-      type: 'tcp_connect',
-      connectionId,
-      host: client.localHost,
-      port: client.localPort,
-      data: httpRequest.toString('base64')
+      type: 'connected',
+      tunnelId: client.id,
+      protocolVersion: client.protocolVersion,
+      domain: client.domain,
+      subdomainUrl: tunnelUrl(client.id, client.domain),
+      tcpAddress: client.tcpPort ? `${this.config.tcpHost}:${client.tcpPort}` : undefined,
+      udpAddress: client.udpPort ? `${this.config.tcpHost}:${client.udpPort}` : undefined,
+      passthroughUrl: client.tlsPassthrough ? this.passthroughUrl(client) : undefined,
+      maxRequestBody: client.maxRequestBody || undefined,
+      resumeToken: client.resumeToken,
+      ...extra
     }));
+  }
 
-    // Set timeout
-    setTimeout(() => {
-      if (client.tcpConnections.has(connectionId)) {
-        client.tcpConnections.delete(connectionId);
-        if (!res.headersSent) {
-          console.log(`⏰ Timeout for connection ${connectionId}`);
-          res.status(504).json({ error: 'Gateway timeout' });
-        }
+  passthroughUrl(client) {
+    const port = this.config.passthroughPort === 443 ? '' : `:${this.config.passthroughPort}`;
+    return `https://${client.id}.${client.domain}${port}/`;
+  }
+
+  async allocatePublicPort(client, protocol, requestedPort) {
+    const { min, max } = protocol === 'udp' ? this.config.udpPortRange : this.config.tcpPortRange;
+    const listeners = protocol === 'udp' ? this.udpListeners : this.tcpListeners;
+    const open = (port) => protocol === 'udp' ? this.openUDPListener(client, port) : this.openTCPListener(client, port);
+    const port = parseInt(requestedPort);
+
+    if (port) {
+      if (port < min || port > max) {
+        this.denyPublicPort(client, protocol, port, `Port ${port} is outside the allowed range ${min}-${max}`);
+        return;
       }
-    }, 30000);
+      if (listeners.has(port) || !(await open(port))) {
+        this.denyPublicPort(client, protocol, port, `Port ${port} is already in use`);
+      }
+      return;
+    }
+
+    // Random free port from the range
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const candidate = min + Math.floor(Math.random() * (max - min + 1));
+      if (!listeners.has(candidate) && await open(candidate)) {
+        return;
+      }
+    }
+    this.denyPublicPort(client, protocol, null, `No free port available in range ${min}-${max}`);
   }
 
-  buildHTTPRequest(req, localPort) {
-    const lines = [];
-    lines.push(`${req.method} ${req.url} HTTP/1.1`);
-    
-    // Add headers
-    for (const [key, value] of Object.entries(req.headers)) {
-      if (key.toLowerCase() !== 'host') {
-        lines.push(`${key}: ${value}`);
+  denyPublicPort(client, protocol, port, message) {
+    console.log(`⚠️  ${protocol.toUpperCase()}: ${message} (requested by tunnel ${client.id})`);
+    client.ws.send(JSON.stringify({ type: `${protocol}_port_denied`, port, message }));
+  }
+
+  // Resolves to true once listening, false if the port could not be bound
+  openTCPListener(client, port) {
+    return new Promise((resolve) => {
+      const listener = net.createServer((socket) => this.handleRawTCPConnection(client, socket));
+
+      listener.once('error', (error) => {
+        console.log(`⚠️  Cannot listen on TCP port ${port}: ${error.message}`);
+        resolve(false);
+      });
+
+      listener.listen(port, () => {
+        this.tcpListeners.set(port, client);
+        client.tcpListener = listener;
+        client.tcpPort = port;
+        console.log(`🔌 Raw TCP ${this.config.tcpHost}:${port} → tunnel ${client.id}`);
+        resolve(true);
+      });
+    });
+  }
+
+  closeTCPListener(client) {
+    if (!client.tcpListener) return;
+
+    client.tcpListener.close();
+    this.tcpListeners.delete(client.tcpPort);
+    console.log(`🔌 Closed raw TCP port ${client.tcpPort} for tunnel ${client.id}`);
+    client.tcpListener = null;
+    client.tcpPort = null;
+  }
+
+  // Server-wide rules and the tunnel's own must both let the address through
+  permitsVisitor(client, address, { quiet = false } = {}) {
+    if (this.ipRules.permits(address) && (!client.ipRules || client.ipRules.permits(address))) return true;
+    if (!quiet) console.log(`⛔ Denied ${address} → tunnel ${client.id}`);
+    return false;
+  }
+
+  // Seconds the visitor should wait when the tunnel's rate limit or connection cap is reached, else null
+  throttleVisitor(client, address) {
+    if (this.rateLimiter.connectionsExhausted(client.id, this.activeConnections(client))) return 1;
+    return this.rateLimiter.hit(client.id, address);
+  }
+
+  // Each accepted public socket becomes one stream to the client's local service
+  handleRawTCPConnection(client, socket) {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      socket.destroy();
+      return;
+    }
+    const address = visitorAddress(socket.remoteAddress);
+    if (!this.permitsVisitor(client, address) || this.throttleVisitor(client, address)) {
+      socket.destroy();
+      return;
+    }
+
+    const connectionId = this.generateConnectionId();
+    const flow = this.createStreamFlow(client, connectionId);
+    const connection = { type: 'tcp', socket, flow };
+    client.tcpConnections.set(connectionId, connection);
+
+    console.log(`🔗 Raw TCP connection ${connectionId} from ${socket.remoteAddress} → tunnel ${client.id}`);
+    this.sendStreamFrame(client, FrameType.CONNECT, connectionId);
+
+    socket.setNoDelay(true);
+    flow.attachSource(socket);
+
+    socket.on('close', () => {
+      if (client.tcpConnections.get(connectionId) === connection) {
+        this.closeTunnelConnection(client, connectionId);
       }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ Raw TCP socket error for ${connectionId}:`, error.message);
+    });
+  }
+
+  // Read the ClientHello, then either hand the still-encrypted connection to a tunnel
+  // that opted into passthrough, or to the HTTPS listener when it shares the port
+  handlePassthroughConnection(socket) {
+    let buffered = Buffer.alloc(0);
+
+    const timeout = setTimeout(() => socket.destroy(), this.config.handshakeTimeout);
+    const onData = (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      const hello = parseClientHello(buffered);
+      if (!hello.complete) return;
+
+      clearTimeout(timeout);
+      socket.off('data', onData);
+      socket.pause();
+      socket.unshift(buffered);
+      this.routePassthroughConnection(socket, hello.servername);
+    };
+
+    socket.on('data', onData);
+    socket.on('error', (error) => {
+      clearTimeout(timeout);
+      console.error('❌ TLS passthrough socket error:', error.message);
+    });
+  }
+
+  routePassthroughConnection(socket, servername) {
+    // Exact names only: the routing policy must not hand unclaimed names to a passthrough tunnel
+    const client = servername && this.matchTunnel(servername);
+
+    if (client && client.tlsPassthrough) {
+      console.log(`🔐 TLS passthrough: ${servername} → tunnel ${client.id}`);
+      this.handleRawTCPConnection(client, socket);
+      socket.resume(); // Paused while the ClientHello was read
+    } else if (this.httpsServer && this.config.httpsPort === this.config.passthroughPort) {
+      this.httpsServer.emit('connection', socket);
+    } else {
+      console.log(`❌ No passthrough tunnel for TLS server name: ${servername || '(none)'}`);
+      socket.destroy();
     }
-    lines.push(`Host: localhost:${localPort}`);
-    lines.push('Connection: close');
-    lines.push('');
-    
-    let httpRequest = lines.join('\r\n');
-    
-    // Add body if present
-    if (req.body && Object.keys(req.body).length > 0) {
-      const body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
-      httpRequest += body;
+  }
+
+  // Resolves to true once bound, false if the port could not be bound
+  openUDPListener(client, port) {
+    return new Promise((resolve) => {
+      const listener = dgram.createSocket('udp4');
+
+      listener.once('error', (error) => {
+        console.log(`⚠️  Cannot bind UDP port ${port}: ${error.message}`);
+        listener.close();
+        resolve(false);
+      });
+
+      listener.bind(port, () => {
+        listener.removeAllListeners('error');
+        listener.on('error', (error) => {
+          console.error(`❌ UDP listener error on port ${port}:`, error.message);
+        });
+        listener.on('message', (datagram, remote) => this.handleUDPDatagram(client, datagram, remote));
+
+        this.udpListeners.set(port, client);
+        client.udpListener = listener;
+        client.udpPort = port;
+        client.udpSweepTimer = setInterval(() => this.expireUDPSessions(client), this.config.udpSessionTimeout / 4);
+        console.log(`📡 UDP ${this.config.tcpHost}:${port} → tunnel ${client.id}`);
+        resolve(true);
+      });
+    });
+  }
+
+  closeUDPListener(client) {
+    if (!client.udpListener) return;
+
+    clearInterval(client.udpSweepTimer);
+    client.udpListener.close();
+    this.udpListeners.delete(client.udpPort);
+    client.udpSessions.clear();
+    client.udpPeers.clear();
+    console.log(`📡 Closed UDP port ${client.udpPort} for tunnel ${client.id}`);
+    client.udpListener = null;
+    client.udpPort = null;
+  }
+
+  // Each remote address:port is one session so replies find their way back to that peer
+  handleUDPDatagram(client, datagram, remote) {
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+    if (!this.permitsVisitor(client, remote.address, { quiet: true })) return;
+
+    // UDP is lossy anyway: drop instead of queueing behind a congested tunnel
+    if (client.ws.bufferedAmount > this.config.udpMaxBufferedBytes) return;
+
+    const peer = `${remote.address}:${remote.port}`;
+    let sessionId = client.udpPeers.get(peer);
+    if (!sessionId) {
+      sessionId = this.generateConnectionId();
+      client.udpPeers.set(peer, sessionId);
+      client.udpSessions.set(sessionId, { address: remote.address, port: remote.port, lastSeen: 0 });
+      console.log(`📡 UDP session ${sessionId} from ${peer} → tunnel ${client.id}`);
     }
-    
-    return Buffer.from(httpRequest);
+
+    client.udpSessions.get(sessionId).lastSeen = Date.now();
+    this.sendStreamFrame(client, FrameType.DATAGRAM, sessionId, datagram);
   }
 
-  forwardTCPData(tunnelId, data) {
-    const client = this.tunnelClients.get(tunnelId);
-    if (!client || !client.tcpConnections) return;
+  // Reply from the client's local UDP service
+  forwardUDPDatagram(client, sessionId, datagram) {
+    const session = client.udpSessions.get(sessionId);
+    if (!session || !client.udpListener) return;
 
-    const connection = client.tcpConnections.get(data.connectionId);
-    if (!connection) return;
+    session.lastSeen = Date.now();
+    client.udpListener.send(datagram, session.port, session.address);
+  }
 
-    const buffer = Buffer.from(data.data, 'base64');
-    console.log(`📨 DEBUG: Received ${buffer.length} bytes for connection ${data.connectionId}`);
-    
-    if (connection.type === 'http') {
-      // Accumulate HTTP response data
-      connection.buffer = Buffer.concat([connection.buffer, buffer]);
-      
-      // Clear any existing timeout
-      if (connection.timeout) {
-        clearTimeout(connection.timeout);
+  closeUDPSession(client, sessionId, notifyClient) {
+    const session = client.udpSessions.get(sessionId);
+    if (!session) return;
+
+    client.udpSessions.delete(sessionId);
+    client.udpPeers.delete(`${session.address}:${session.port}`);
+    if (notifyClient) {
+      this.sendStreamFrame(client, FrameType.CLOSE, sessionId);
+    }
+  }
+
+  expireUDPSessions(client) {
+    const cutoff = Date.now() - this.config.udpSessionTimeout;
+    for (const [sessionId, session] of client.udpSessions) {
+      if (session.lastSeen < cutoff) {
+        console.log(`⌛ UDP session ${sessionId} (${session.address}:${session.port}) expired`);
+        this.closeUDPSession(client, sessionId, true);
       }
-      
-      // Try to parse HTTP response
-      const response = this.parseHTTPResponse(connection.buffer);
-      if (response) {
-        // Send HTTP response
-        const res = connection.res;
-        if (!res.headersSent) {
-          res.status(response.statusCode);
-          for (const [key, value] of Object.entries(response.headers)) {
-            res.set(key, value);
-          }
-          
-          // Handle different content types properly
-          const contentType = response.headers['content-type'] || response.headers['Content-Type'] || '';
-          if (contentType.includes('application/json')) {
-            try {
-              res.json(JSON.parse(response.body));
-            } catch {
-              res.send(response.body);
-            }
-          } else if (contentType.includes('text/')) {
-            res.send(response.body);
-          } else {
-            res.send(response.body);
-          }
+    }
+  }
+
+  // Binary stream frames from protocol v2 clients
+  handleTunnelFrame(client, frame) {
+    switch (frame.type) {
+      case FrameType.DATA:
+        this.forwardTCPData(client.id, frame.streamId, frame.payload);
+        break;
+
+      case FrameType.CLOSE:
+        if (client.udpSessions.has(frame.streamId)) {
+          this.closeUDPSession(client, frame.streamId, false);
+        } else {
+          this.handleTCPCloseFromClient(client.id, frame.streamId);
         }
-        client.tcpConnections.delete(data.connectionId);
-      } else {
-        // Set a new timeout if we're still waiting for more data
-        connection.timeout = setTimeout(() => {
-          if (client.tcpConnections.has(data.connectionId)) {
-            const res = connection.res;
-            if (!res.headersSent) {
-              res.status(502).json({ error: 'Incomplete response from local server' });
-            }
-            client.tcpConnections.delete(data.connectionId);
-          }
-        }, 5000);
-      }
-    } else if (connection.type === 'websocket') {
-      // Forward raw WebSocket data
-      if (connection.socket && !connection.socket.destroyed) {
-        connection.socket.write(buffer);
+        break;
+
+      case FrameType.DATAGRAM:
+        this.forwardUDPDatagram(client, frame.streamId, frame.payload);
+        break;
+
+      case FrameType.WINDOW: {
+        const connection = client.tcpConnections.get(frame.streamId);
+        if (connection) {
+          connection.flow.handleWindow(decodeWindowIncrement(frame.payload));
+        }
+        break;
       }
     }
   }
 
-  parseHTTPResponse(buffer) {
-    const str = buffer.toString();
-    const headerEndIndex = str.indexOf('\r\n\r\n');
-    
-    if (headerEndIndex === -1) return null; // Headers not complete yet
-    
-    const headersPart = str.substring(0, headerEndIndex);
-    const bodyBuffer = buffer.slice(headerEndIndex + 4);
-    
-    const lines = headersPart.split('\r\n');
-    const statusLine = lines[0];
-    const statusMatch = statusLine.match(/HTTP\/1\.[01] (\d+)/);
-    const statusCode = statusMatch ? parseInt(statusMatch[1]) : 200;
-    
-    const headers = {};
-    for (let i = 1; i < lines.length; i++) {
-      const colonIndex = lines[i].indexOf(':');
-      if (colonIndex > 0) {
-        const key = lines[i].substring(0, colonIndex).trim();
-        const value = lines[i].substring(colonIndex + 1).trim();
-        headers[key] = value;
+  createStreamFlow(client, connectionId) {
+    return new StreamFlow(
+      (type, payload) => this.sendStreamFrame(client, type, connectionId, payload),
+      { enabled: client.protocolVersion >= 3 }
+    );
+  }
+
+  // Buffered byte counts for one tunnel, shown on the dashboard
+  getFlowMetrics(client) {
+    let inFlightBytes = 0;
+    let pendingWriteBytes = 0;
+    let pausedStreams = 0;
+
+    for (const connection of client.tcpConnections.values()) {
+      inFlightBytes += connection.flow.inFlight;
+      if (connection.flow.paused) pausedStreams++;
+      if (connection.socket) {
+        pendingWriteBytes += connection.socket.writableLength || 0;
       }
     }
-    
-    // Check if we have the complete response
-    const contentLength = headers['content-length'] || headers['Content-Length'];
-    const transferEncoding = headers['transfer-encoding'] || headers['Transfer-Encoding'];
-    
-    if (contentLength) {
-      const expectedLength = parseInt(contentLength);
-      if (bodyBuffer.length < expectedLength) {
-        return null; // Need more data
+
+    return {
+      streams: client.tcpConnections.size,
+      controlBufferedBytes: client.ws.bufferedAmount, // Queued on the tunnel WebSocket
+      inFlightBytes,                                  // Sent to the client, not yet acknowledged
+      pendingWriteBytes,                              // Received from the client, not yet written to visitors
+      pausedStreams
+    };
+  }
+
+  // Send a stream message as a binary frame (v2) or a base64 JSON message (v1)
+  sendStreamFrame(client, type, connectionId, payload) {
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+
+    if (client.protocolVersion >= 2) {
+      client.ws.send(encodeFrame(type, connectionId, payload));
+      return;
+    }
+
+    const message = { type: MessageType[type], connectionId };
+    if (type === FrameType.CONNECT) {
+      message.host = client.localHost;
+      message.port = client.localPort;
+    }
+    if (type === FrameType.CLOSE) {
+      if (payload) message.error = payload.toString();
+    } else if (payload && payload.length > 0) {
+      message.data = payload.toString('base64');
+    }
+    client.ws.send(JSON.stringify(message));
+  }
+
+  handleHTTPThroughTunnel(tunnelId, req, res) {
+    const client = this.tunnelClients.get(tunnelId);
+    if (!client) return res.status(404).json({ error: 'Tunnel not found' });
+    if (client.detached) {
+      return res.set('Retry-After', '5').status(503).json({ error: 'Tunnel is reconnecting' });
+    }
+    const address = visitorAddress(req.socket.remoteAddress, req.headers, this.isTrustedProxy);
+    if (!this.permitsVisitor(client, address)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const retryAfter = this.throttleVisitor(client, address);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    if (client.visitorAuth && !authorizeVisitor(client.visitorAuth, req.headers)) {
+      return sendUnauthorized(res, client.visitorAuth, client.id);
+    }
+    if (client.maxRequestBody && declaredLength(req) > client.maxRequestBody) {
+      return sendPayloadTooLarge(res, client.maxRequestBody);
+    }
+
+    if (expectsContinue(req)) res.writeContinue();
+    this.proxyHTTPRequest(client, req, res);
+  }
+
+  // Pass a visitor request to the local service over the tunnel's keep-alive pool. Node's HTTP
+  // server keeps the visitor connection open and answers pipelined requests in order; the agent
+  // gives each request a pooled stream of its own until its response is complete.
+  proxyHTTPRequest(client, req, res, retried = false) {
+    const proxyReq = http.request({
+      agent: client.httpAgent,
+      method: req.method,
+      path: req.url,
+      headers: this.localRequestHeaders(req, client)
+    });
+    const hasBody = declaredLength(req) > 0 || !!req.headers['transfer-encoding'];
+    let timeout = null;
+
+    proxyReq.on('response', (proxyRes) => {
+      clearTimeout(timeout);
+      res.removeHeader('X-Powered-By');
+      res.statusCode = proxyRes.statusCode;
+      res.statusMessage = proxyRes.statusMessage;
+      setRawHeaders(res, this.responseHeaderPolicy.apply(proxyRes.rawHeaders));
+      proxyRes.pipe(res);
+
+      // The local service went away mid-response
+      proxyRes.on('close', () => {
+        if (!proxyRes.complete) res.destroy();
+      });
+    });
+
+    proxyReq.on('error', () => {
+      clearTimeout(timeout);
+      if (res.writableEnded) return; // Answered already (413, 504)
+
+      // A pooled connection the local service closed just as it was picked up; nothing reached it
+      if (proxyReq.reusedSocket && !retried && !hasBody && !res.headersSent) {
+        this.proxyHTTPRequest(client, req, res, true);
+        return;
       }
-      return { statusCode, headers, body: bodyBuffer.slice(0, expectedLength).toString() };
-    } else if (transferEncoding && transferEncoding.toLowerCase().includes('chunked')) {
-      // For chunked encoding, look for end marker
-      const bodyStr = bodyBuffer.toString();
-      if (!bodyStr.includes('\r\n0\r\n\r\n')) {
-        return null; // Chunked response not complete
+      if (res.headersSent) {
+        res.destroy();
+        return;
       }
-      // Parse chunked response (simplified)
-      const chunks = [];
-      let pos = 0;
-      while (pos < bodyStr.length) {
-        const chunkSizeEnd = bodyStr.indexOf('\r\n', pos);
-        if (chunkSizeEnd === -1) break;
-        const chunkSizeHex = bodyStr.substring(pos, chunkSizeEnd);
-        const chunkSize = parseInt(chunkSizeHex, 16);
-        if (chunkSize === 0) break;
-        pos = chunkSizeEnd + 2;
-        chunks.push(bodyStr.substring(pos, pos + chunkSize));
-        pos += chunkSize + 2;
+      // The visitor may still be uploading; its connection cannot be reused for another request
+      res.set('Connection', 'close');
+      res.status(502).json({ error: 'Connection closed by server' });
+    });
+
+    // Visitor went away before the response was complete
+    res.on('close', () => {
+      if (!res.writableFinished) proxyReq.destroy();
+    });
+
+    // Time out only while waiting for the response after the body is through;
+    // uploads and response streams may run indefinitely
+    const startTimeout = () => {
+      timeout = setTimeout(() => {
+        if (proxyReq.res || res.writableEnded) return;
+        console.log(`⏰ Timeout for ${req.method} ${req.url} on tunnel ${client.id}`);
+        res.set('Connection', 'close');
+        res.status(504).json({ error: 'Gateway timeout' });
+        proxyReq.destroy();
+      }, 30000);
+    };
+
+    if (!hasBody) {
+      proxyReq.end();
+      startTimeout();
+      return;
+    }
+
+    // Stream the body as it arrives, cut off once it passes the tunnel's limit
+    const limit = client.maxRequestBody;
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (!limit || received <= limit || res.writableEnded) return;
+
+      console.log(`📦 Request body for ${client.id} exceeded ${limit} bytes`);
+      req.unpipe(proxyReq);
+      req.pause();
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        sendPayloadTooLarge(res, limit);
       }
-      return { statusCode, headers, body: chunks.join('') };
-    } else {
-      // No content-length or chunked encoding, assume complete
-      return { statusCode, headers, body: bodyBuffer.toString() };
+      proxyReq.destroy();
+    });
+    req.on('end', startTimeout);
+    req.pipe(proxyReq);
+  }
+
+  // Keep-alive pool for a tunnel's HTTP requests. Each pooled connection is a tunnel stream
+  // that the client holds open to the local service; the client may ask for a smaller or
+  // shorter-lived pool than the server's (poolSize 0 closes connections after each request).
+  createHTTPAgent(client, data) {
+    const requested = parseInt(data.poolSize);
+    const size = Math.min(this.config.poolSize, requested >= 0 ? requested : Infinity);
+    const idleTimeout = Math.min(this.config.poolIdleTimeout, parseInt(data.poolIdleTimeout) || Infinity);
+
+    const agent = new http.Agent({ keepAlive: size > 0, maxFreeSockets: size, timeout: idleTimeout });
+    agent.createConnection = () => this.openHTTPStream(client);
+    return agent;
+  }
+
+  // A new pooled connection: the agent gets one end of a socket pair, the other is relayed
+  // through a tunnel stream to a fresh local TCP connection
+  openHTTPStream(client) {
+    const connectionId = this.generateConnectionId();
+    const [agentSocket, socket] = socketPair();
+    const connection = { type: 'http', socket, timeout: null, flow: this.createStreamFlow(client, connectionId) };
+    client.tcpConnections.set(connectionId, connection);
+
+    this.sendStreamFrame(client, FrameType.CONNECT, connectionId);
+    connection.flow.attachSource(socket);
+
+    // The response has been read in full; give the client its credit back before the
+    // connection idles in the pool
+    agentSocket.on('free', () => connection.flow.flushGrant());
+
+    socket.on('close', () => {
+      if (client.tcpConnections.get(connectionId) === connection) {
+        this.closeTunnelConnection(client, connectionId);
+      }
+    });
+
+    return agentSocket;
+  }
+
+  // Connections in use; idle pooled ones only wait for the next request
+  activeConnections(client) {
+    return client.tcpConnections.size - this.getPoolMetrics(client).idle;
+  }
+
+  getPoolMetrics(client) {
+    const count = (sockets) => Object.values(sockets).reduce((sum, list) => sum + list.length, 0);
+    return {
+      active: count(client.httpAgent.sockets),
+      idle: count(client.httpAgent.freeSockets)
+    };
+  }
+
+  // The visitor's headers for the local request; the agent adds Connection itself
+  localRequestHeaders(req, client) {
+    const headers = this.requestHeaderPolicy.apply(this.forwardingRawHeaders(req));
+    headers.push('Host', this.localHostHeader(req, client));
+    return headers;
+  }
+
+  // Stop tracking a connection and tell the client to close its local side
+  closeTunnelConnection(client, connectionId) {
+    client.tcpConnections.delete(connectionId);
+    this.sendStreamFrame(client, FrameType.CLOSE, connectionId);
+  }
+
+  forwardTCPData(tunnelId, connectionId, buffer) {
+    const client = this.tunnelClients.get(tunnelId);
+    if (!client || !client.tcpConnections) return;
+
+    const connection = client.tcpConnections.get(connectionId);
+    if (!connection) return;
+
+    // Stream raw bytes to the visitor (or the pool's HTTP parser), pausing the local side while it is slow
+    if (!connection.socket.destroyed) {
+      connection.flow.deliver(connection.socket, buffer);
     }
   }
 
-  handleTCPCloseFromClient(tunnelId, data) {
+  handleTCPCloseFromClient(tunnelId, connectionId) {
     const client = this.tunnelClients.get(tunnelId);
     if (!client || !client.tcpConnections) return;
 
-    const connection = client.tcpConnections.get(data.connectionId);
+    const connection = client.tcpConnections.get(connectionId);
     if (connection) {
-      if (connection.type === 'http' && connection.res && !connection.res.headersSent) {
-        connection.res.status(502).json({ error: 'Connection closed by server' });
+      client.tcpConnections.delete(connectionId);
+      clearTimeout(connection.timeout);
+
+      if (connection.type === 'websocket' && connection.flow.bytesReceived === 0) {
+        // The local app closed or refused the connection before answering the upgrade
+        this.rejectUpgrade(connection.socket, 502, 'Bad Gateway', { error: 'Connection closed by server' });
+      } else {
+        // Let buffered response bytes drain before closing the visitor connection
+        connection.socket.end();
       }
-      client.tcpConnections.delete(data.connectionId);
     }
   }
 
   generateTunnelId() {
-    return Math.random().toString(36).substr(2, 8);
+    let tunnelId;
+    do {
+      tunnelId = Math.random().toString(36).substr(2, 8);
+    } while (this.tunnelClients.has(tunnelId) || this.subdomainRegistry.isReserved(tunnelId));
+    return tunnelId;
   }
 
+  // Numeric so it fits the 32-bit stream id of binary frames
   generateConnectionId() {
-    return Math.random().toString(36).substr(2, 12);
+    const connectionId = this.nextConnectionId;
+    this.nextConnectionId = (this.nextConnectionId % 0xffffffff) + 1;
+    return connectionId;
   }
 
   start() {
-    // Start WebSocket server for tunnel connections
-    const tunnelServer = http.createServer();
+    // Renewed or added certificates apply to new handshakes without a restart
+    if (this.certificates) {
+      this.certificates.watch();
+      if (this.certificates.size === 0) {
+        console.log(`⚠️  No certificates in ${this.certificates.dir} - TLS handshakes will fail until some are added`);
+      }
+    }
+
+    // Start WebSocket server for tunnel connections, over TLS (wss://) when configured
+    const tunnelServer = this.config.tunnelTls
+      ? this.certificates.createServer(undefined, this.clientAuthority)
+      : http.createServer();
+    if (this.clientAuthority) {
+      this.clientAuthority.watch();
+      console.log(`🪪 Client certificates from ${this.clientAuthority.caFile} ${this.config.requireClientCert ? 'required' : 'accepted'} on the tunnel port`);
+    }
     this.wss = new WebSocket.Server({ server: tunnelServer });
     this.setupWebSocketServer();
+
+    // Pick up token revocations without a restart
+    this.tokenStore.watch();
+    this.tokenStore.on('change', () => this.disconnectRevokedClients());
+    this.subdomainRegistry.watch();
+    this.customDomains.watch();
+    if (this.config.requireAuth && this.tokenStore.activeCount() === 0) {
+      console.log(`⚠️  No API tokens in ${this.tokenStore.filePath} - create one with: node token-store.js create <name>`);
+    }
     
     tunnelServer.listen(this.config.tunnelPort, () => {
-      console.log(`🔌 TCP Tunnel server running on port ${this.config.tunnelPort}`);
+      console.log(`🔌 TCP Tunnel server running on port ${this.config.tunnelPort}${this.config.tunnelTls ? ' (wss)' : ''}`);
+      if (this.config.tunnelTls && this.certificates.defaultFingerprint()) {
+        console.log(`📌 Pin with TUNNEL_SERVER_FINGERPRINT=${this.certificates.defaultFingerprint()}`);
+      }
     });
     
     // Handle WebSocket upgrades on main server (for tunneled WebSocket connections)
@@ -417,69 +1328,190 @@ class TCPTunnelServer {
     // Start main HTTP server
     this.server.listen(this.config.serverPort, () => {
       console.log(`🚀 HTTP server running on port ${this.config.serverPort}`);
-      console.log(`🌐 Public Dashboard: https://grabr.cc/dashboard`);
+      console.log(`🌐 Public Dashboard: https://${this.config.domains[0]}/dashboard`);
+    });
+
+    if (this.httpsServer) {
+      this.startHTTPS();
+    }
+    if (this.config.passthroughPort) {
+      this.passthroughServer = net.createServer((socket) => this.handlePassthroughConnection(socket));
+      this.passthroughServer.listen(this.config.passthroughPort, () => {
+        const shared = this.config.passthroughPort === this.config.httpsPort ? ' (shared with HTTPS)' : '';
+        console.log(`🔐 TLS passthrough running on port ${this.config.passthroughPort}${shared}`);
+      });
+    }
+  }
+
+  startHTTPS() {
+    this.httpsServer.on('upgrade', (request, socket, head) => {
+      this.handleWebSocketUpgrade(request, socket, head);
+    });
+
+    // On a shared port the passthrough listener hands over every connection it does not forward
+    if (this.config.httpsPort === this.config.passthroughPort) return;
+
+    this.httpsServer.listen(this.config.httpsPort, () => {
+      console.log(`🔒 HTTPS server running on port ${this.config.httpsPort} (${this.certificates.size} certificate(s))`);
     });
   }
 
   handleWebSocketUpgrade(request, socket, head) {
     const host = request.headers.host || '';
-    const subdomain = host.split('.')[0];
+    const route = this.resolveTunnel(host);
     
-    console.log(`🔄 WebSocket upgrade: ${host}${request.url} → tunnel ${subdomain}`);
-    
-    const tunnelClient = this.tunnelClients.get(subdomain);
-    if (tunnelClient && tunnelClient.ws.readyState === WebSocket.OPEN) {
-      this.forwardWebSocketUpgrade(subdomain, request, socket, head);
-    } else {
-      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-      socket.destroy();
+    if (!route) {
+      console.log(`❌ No tunnel found for WebSocket upgrade: ${host}${request.url}`);
+      this.rejectUpgrade(socket, 404, 'Not Found', { error: 'Tunnel not found', host });
+      return;
     }
+    
+    console.log(`🔄 WebSocket upgrade${route.fallback ? ` (${this.config.routing} route)` : ''}: ${host}${request.url} → tunnel ${route.tunnelId}`);
+    this.forwardWebSocketUpgrade(route.tunnelId, request, socket, head);
+  }
+
+  rejectUpgrade(socket, statusCode, statusText, body) {
+    if (socket.destroyed) return;
+
+    const json = JSON.stringify(body);
+    socket.end([
+      `HTTP/1.1 ${statusCode} ${statusText}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(json)}`,
+      'Connection: close',
+      '',
+      json
+    ].join('\r\n'));
   }
 
   forwardWebSocketUpgrade(tunnelId, request, socket, head) {
     const client = this.tunnelClients.get(tunnelId);
+    if (client.detached) {
+      this.rejectUpgrade(socket, 503, 'Service Unavailable', { error: 'Tunnel is reconnecting' });
+      return;
+    }
+    const address = visitorAddress(request.socket.remoteAddress, request.headers, this.isTrustedProxy);
+    if (!this.permitsVisitor(client, address)) {
+      this.rejectUpgrade(socket, 403, 'Forbidden', { error: 'Access denied' });
+      return;
+    }
+    const retryAfter = this.throttleVisitor(client, address);
+    if (retryAfter) {
+      rejectRateLimitedUpgrade(socket, retryAfter);
+      return;
+    }
+    if (client.visitorAuth && !authorizeVisitor(client.visitorAuth, request.headers)) {
+      rejectUnauthorizedUpgrade(socket, client.visitorAuth, client.id);
+      return;
+    }
     const connectionId = this.generateConnectionId();
+    const flow = this.createStreamFlow(client, connectionId);
     
     // Store the socket
-    client.tcpConnections.set(connectionId, { type: 'websocket', socket });
+    const connection = { type: 'websocket', socket, flow, timeout: null };
+    client.tcpConnections.set(connectionId, connection);
     
-    // Build WebSocket upgrade request
-    const upgradeRequest = this.buildWebSocketUpgradeRequest(request, client.localPort);
+    // Build WebSocket upgrade request; bytes the browser sent after the headers belong to the local app too
+    const upgradeRequest = this.buildWebSocketUpgradeRequest(request, client);
+    const initialData = head && head.length > 0 ? Buffer.concat([upgradeRequest, head]) : upgradeRequest;
     
     // Send to client
-    client.ws.send(JSON.stringify({
-      type: 'tcp_connect',
-      connectionId,
-      host: client.localHost,
-      port: client.localPort,
-      data: upgradeRequest.toString('base64')
-    }));
+    this.sendStreamFrame(client, FrameType.CONNECT, connectionId, initialData);
+
+    // Browser → local app, paused while the client's window is full
+    socket.setNoDelay(true);
+    flow.attachSource(socket);
+
+    socket.on('close', () => {
+      clearTimeout(connection.timeout);
+      if (client.tcpConnections.get(connectionId) === connection) {
+        this.closeTunnelConnection(client, connectionId);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ WebSocket visitor socket error for ${connectionId}:`, error.message);
+    });
+
+    // Give up if the local app never answers the upgrade
+    connection.timeout = setTimeout(() => {
+      if (flow.bytesReceived === 0 && client.tcpConnections.get(connectionId) === connection) {
+        console.log(`⏰ WebSocket upgrade timeout for connection ${connectionId}`);
+        this.closeTunnelConnection(client, connectionId);
+        this.rejectUpgrade(socket, 504, 'Gateway Timeout', { error: 'Gateway timeout' });
+      }
+    }, 10000);
   }
 
-  buildWebSocketUpgradeRequest(request, localPort) {
+  buildWebSocketUpgradeRequest(request, client) {
     const lines = [];
     lines.push(`GET ${request.url} HTTP/1.1`);
     
-    for (const [key, value] of Object.entries(request.headers)) {
-      if (key.toLowerCase() !== 'host') {
-        lines.push(`${key}: ${value}`);
+    const rawHeaders = this.forwardingRawHeaders(request);
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      if (rawHeaders[i].toLowerCase() !== 'host') {
+        lines.push(`${rawHeaders[i]}: ${rawHeaders[i + 1]}`);
       }
     }
-    lines.push(`Host: localhost:${localPort}`);
-    lines.push('');
+    lines.push(`Host: ${this.localHostHeader(request, client)}`);
+    lines.push('', '');
     
     return Buffer.from(lines.join('\r\n'));
   }
+
+  // The visitor's headers plus X-Forwarded-* / Forwarded describing the visitor
+  forwardingRawHeaders(req) {
+    return withForwardedHeaders(requestRawHeaders(req), forwardedHeaders(req, this.isTrustedProxy));
+  }
+
+  localHostHeader(req, client) {
+    return client.preserveHost && req.headers.host ? req.headers.host : `localhost:${client.localPort}`;
+  }
 }
 
 // Start server if run directly
 if (require.main === module) {
+  const [tcpPortMin, tcpPortMax] = (process.env.TCP_PORT_RANGE || '20000-20999').split('-').map(Number);
+  const [udpPortMin, udpPortMax] = (process.env.UDP_PORT_RANGE || '20000-20999').split('-').map(Number);
+  const security = loadSecurityConfig(process.env.TUNNEL_CONFIG_FILE || 'config.json');
   const config = {
     serverPort: parseInt(process.env.SERVER_PORT) || 80,
-    tunnelPort: parseInt(process.env.TUNNEL_PORT) || 8080
+    tunnelPort: parseInt(process.env.TUNNEL_PORT) || 8080,
+    httpsPort: parseInt(process.env.HTTPS_PORT) || null,
+    certDir: process.env.TUNNEL_CERT_DIR || 'certs',
+    passthroughPort: parseInt(process.env.TLS_PASSTHROUGH_PORT) || null,
+    tunnelTls: process.env.TUNNEL_TLS === 'on',
+    clientCA: process.env.TUNNEL_CLIENT_CA || null,
+    clientCRL: process.env.TUNNEL_CLIENT_CRL || null,
+    requireClientCert: process.env.TUNNEL_REQUIRE_CLIENT_CERT === 'on',
+    httpsRedirect: process.env.TUNNEL_HTTPS_REDIRECT === 'on',
+    tokensFile: process.env.TUNNEL_TOKENS_FILE || 'tokens.json',
+    reservationsFile: process.env.TUNNEL_RESERVATIONS_FILE || 'reservations.json',
+    customDomainsFile: process.env.TUNNEL_CUSTOM_DOMAINS_FILE || 'custom-domains.json',
+    adminToken: process.env.TUNNEL_ADMIN_TOKEN || null,
+    ipAllow: process.env.TUNNEL_GLOBAL_IP_ALLOW || [],
+    ipDeny: process.env.TUNNEL_GLOBAL_IP_DENY || [],
+    trustedProxies: process.env.TUNNEL_TRUSTED_PROXIES || [],
+    maxRequestBody: process.env.TUNNEL_MAX_REQUEST_BODY || null,
+    keepAliveTimeout: parseInt(process.env.TUNNEL_KEEP_ALIVE_TIMEOUT) * 1000 || 5000,
+    poolSize: process.env.TUNNEL_POOL_SIZE ? parseInt(process.env.TUNNEL_POOL_SIZE) : 8,
+    poolIdleTimeout: parseInt(process.env.TUNNEL_POOL_IDLE_TIMEOUT) * 1000 || 4000,
+    rateLimiting: security.rateLimiting,
+    allowedOrigins: security.allowedOrigins,
+    requireAuth: process.env.TUNNEL_AUTH !== 'off',
+    domains: process.env.TUNNEL_DOMAINS || DEFAULT_DOMAIN,
+    routing: process.env.TUNNEL_ROUTING || 'strict',
+    defaultTunnel: process.env.TUNNEL_DEFAULT || null,
+    resumeGracePeriod: parseInt(process.env.TUNNEL_RESUME_GRACE) * 1000 || 30000,
+    heartbeatInterval: parseInt(process.env.TUNNEL_HEARTBEAT_INTERVAL) * 1000 || 15000,
+    heartbeatTimeout: parseInt(process.env.TUNNEL_HEARTBEAT_TIMEOUT) * 1000 || 10000,
+    tcpHost: process.env.TCP_PUBLIC_HOST || '20.193.143.179',
+    tcpPortRange: { min: tcpPortMin, max: tcpPortMax },
+    udpPortRange: { min: udpPortMin, max: udpPortMax },
+    udpSessionTimeout: parseInt(process.env.UDP_SESSION_TIMEOUT) * 1000 || 60000
   };
 
-  console.log(`🔧 Starting TCP Tunnel Server: HTTP=${config.serverPort}, Tunnel=${config.tunnelPort}`);
+  console.log(`🔧 Starting TCP Tunnel Server: HTTP=${config.serverPort}${config.httpsPort ? `, HTTPS=${config.httpsPort}` : ''}, Tunnel=${config.tunnelPort}`);
   
   const server = new TCPTunnelServer(config);
   server.start();
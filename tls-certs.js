@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const tls = require('tls');
+const https = require('https');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { normalizeHostname } = require('./base-domains');
+
+// Certificates for the TLS listeners (HTTPS, wss://), loaded from a directory and picked by SNI.
+//
+// Recognised layouts (names come from the certificate's DNS subjectAltNames):
+//   certs/<name>.crt + certs/<name>.key                   Plain pairs
+//   certs/<name>.pem + certs/<name>-key.pem               mkcert, e.g. _wildcard.grabr.cc.pem
+//   certs/<name>/fullchain.pem + certs/<name>/privkey.pem certbot live directories
+//
+// An exact name wins over a wildcard, so a custom domain's own certificate is
+// used for it while *.grabr.cc covers the tunnel subdomains. The directory is
+// watched and certificates are swapped in on change, e.g. after a renewal.
+class CertificateStore extends EventEmitter {
+  constructor(dir = 'certs', { defaultHostname = null } = {}) {
+    super();
+    this.dir = path.resolve(dir);
+    this.defaultHostname = defaultHostname; // Served to clients that send no SNI
+    this.contexts = new Map(); // hostname or *.parent -> { context, key, cert, file }
+    this.files = [];
+    this.watching = false;
+    this.reloadTimer = null;
+    this.handleChange = () => {
+      // Key and certificate are usually rewritten one after the other; reload once both landed
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 500);
+    };
+    this.load();
+  }
+
+  load() {
+    this.contexts.clear();
+    this.files = [];
+
+    if (!fs.existsSync(this.dir)) return;
+
+    for (const { certFile, keyFile } of this.findPairs()) {
+      try {
+        const cert = fs.readFileSync(certFile);
+        const key = fs.readFileSync(keyFile);
+        const context = tls.createSecureContext({ cert, key });
+        const entry = { context, cert, key, file: path.relative(this.dir, certFile) };
+
+        for (const name of this.namesFor(cert, certFile)) {
+          this.contexts.set(name, entry);
+        }
+        this.files.push(certFile, keyFile);
+      } catch (error) {
+        console.error(`❌ Failed to load certificate ${certFile}:`, error.message);
+      }
+    }
+  }
+
+  findPairs() {
+    const pairs = [];
+
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      const file = path.join(this.dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const certFile = path.join(file, 'fullchain.pem');
+        const keyFile = path.join(file, 'privkey.pem');
+        if (fs.existsSync(certFile) && fs.existsSync(keyFile)) pairs.push({ certFile, keyFile });
+        continue;
+      }
+
+      const match = entry.name.match(/^(.+)\.(crt|pem)$/);
+      if (!match || match[1].endsWith('-key')) continue;
+
+      const keyFile = [`${match[1]}.key`, `${match[1]}-key.pem`]
+        .map((name) => path.join(this.dir, name))
+        .find((candidate) => fs.existsSync(candidate));
+      if (keyFile) pairs.push({ certFile: file, keyFile });
+    }
+
+    return pairs;
+  }
+
+  // DNS names the certificate is valid for; the file name on Node versions without X509Certificate
+  namesFor(cert, certFile) {
+    if (!crypto.X509Certificate) {
+      return [path.basename(certFile).replace(/\.(crt|pem)$/, '').replace(/^_wildcard\./, '*.').toLowerCase()];
+    }
+
+    const x509 = new crypto.X509Certificate(cert);
+    if (new Date(x509.validTo) < new Date()) {
+      console.log(`⚠️  Certificate ${path.basename(certFile)} expired on ${x509.validTo}`);
+    }
+
+    const names = (x509.subjectAltName || '')
+      .split(', ')
+      .filter((name) => name.startsWith('DNS:'))
+      .map((name) => name.slice(4).toLowerCase());
+    if (names.length > 0) return names;
+
+    const commonName = x509.subject.match(/^CN=(.+)$/m);
+    return commonName ? [commonName[1].toLowerCase()] : [];
+  }
+
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    this.watchFiles();
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    clearTimeout(this.reloadTimer);
+    for (const file of this.watchedFiles) fs.unwatchFile(file, this.handleChange);
+    this.watching = false;
+  }
+
+  // The directory itself notices added or removed pairs, each file an in-place renewal
+  watchFiles() {
+    for (const file of this.watchedFiles || []) fs.unwatchFile(file, this.handleChange);
+    this.watchedFiles = [this.dir, ...this.files];
+    for (const file of this.watchedFiles) fs.watchFile(file, { interval: 1000 }, this.handleChange);
+  }
+
+  reload() {
+    this.load();
+    if (this.watching) this.watchFiles();
+    console.log(`🔐 Certificates reloaded: ${this.size} certificate(s) from ${this.dir}`);
+    this.emit('change');
+  }
+
+  // Exact name first, then a wildcard one label up (*.grabr.cc for app.grabr.cc)
+  lookup(servername) {
+    const hostname = normalizeHostname(servername);
+    if (this.contexts.has(hostname)) return this.contexts.get(hostname);
+
+    const dot = hostname.indexOf('.');
+    return dot === -1 ? null : this.contexts.get(`*${hostname.slice(dot)}`) || null;
+  }
+
+  // SNICallback for tls/https servers
+  contextFor(servername) {
+    const entry = this.lookup(servername) || this.defaultEntry();
+    return entry ? entry.context : null;
+  }
+
+  defaultEntry() {
+    if (this.defaultHostname) {
+      const entry = this.contexts.get(`*.${this.defaultHostname}`) || this.contexts.get(this.defaultHostname);
+      if (entry) return entry;
+    }
+    return this.contexts.values().next().value || null;
+  }
+
+  // { key, cert } for https.createServer / setSecureContext, or {} with no certificates
+  defaultCredentials() {
+    const entry = this.defaultEntry();
+    return entry ? { key: entry.key, cert: entry.cert } : {};
+  }
+
+  // SHA-256 fingerprint of the no-SNI certificate, for clients that pin it
+  defaultFingerprint() {
+    const entry = this.defaultEntry();
+    return entry && crypto.X509Certificate ? new crypto.X509Certificate(entry.cert).fingerprint256 : null;
+  }
+
+  // HTTPS server that picks certificates by SNI and follows reloads. With `clientAuth`
+  // (see client-certs.js) it asks for client certificates; those are verified against the
+  // default context, so every connection gets the default certificate instead of SNI selection
+  createServer(handler, clientAuth = null) {
+    const contextOptions = () => ({
+      ...this.defaultCredentials(),
+      ...(clientAuth ? clientAuth.contextOptions() : {})
+    });
+    const server = https.createServer({
+      ...contextOptions(),
+      ...(clientAuth
+        ? { requestCert: true, rejectUnauthorized: false } // Verdict is read per connection, tokens stay usable
+        : { SNICallback: (servername, callback) => callback(null, this.contextFor(servername)) })
+    }, handler);
+
+    const refresh = () => {
+      const options = contextOptions();
+      if (options.cert) server.setSecureContext(options);
+    };
+    this.on('change', refresh);
+    if (clientAuth) clientAuth.on('change', refresh);
+    return server;
+  }
+
+  list() {
+    return Array.from(this.contexts.entries()).map(([name, entry]) => ({ name, file: entry.file }));
+  }
+
+  get size() {
+    return this.files.length / 2;
+  }
+}
+
+module.exports = CertificateStore;
@@ -0,0 +1,94 @@
+// Reads the server name (SNI) from a TLS ClientHello without decrypting anything,
+// so a connection can be routed before deciding who terminates TLS.
+//
+// ClientHello layout, as far as needed here:
+//   record:    type(1)=0x16 version(2) length(2) fragment
+//   handshake: type(1)=0x01 length(3) version(2) random(32)
+//              session_id(1+n) cipher_suites(2+n) compression(1+n) extensions(2+n)
+//   extension: type(2) length(2) data, server_name is type 0:
+//              list_length(2) name_type(1)=0 name_length(2) name
+//
+// A large hello (e.g. with post-quantum key shares) may be split across several
+// records; their fragments are joined back into one handshake message first.
+
+const RECORD_HEADER_LENGTH = 5;
+const MAX_RECORD_LENGTH = 16384 + 2048;
+const MAX_HELLO_LENGTH = 64 * 1024; // Give up on anything bigger rather than keep buffering
+
+// { complete: false } while more bytes are needed; otherwise { complete: true, tls, servername },
+// with servername null when the client sent none or the bytes are not a ClientHello
+function parseClientHello(buffer) {
+  if (buffer.length < 1) return { complete: false };
+  if (buffer[0] !== 0x16) return { complete: true, tls: false, servername: null };
+
+  const fragments = [];
+  let received = 0;
+  let helloLength = null; // Handshake header plus body, known once 4 bytes are in
+  let offset = 0;
+
+  while (helloLength === null || received < helloLength) {
+    if (buffer.length < offset + RECORD_HEADER_LENGTH) return { complete: false };
+    if (buffer[offset] !== 0x16) return { complete: true, tls: true, servername: null }; // Hello cut short
+
+    const recordLength = buffer.readUInt16BE(offset + 3);
+    if (recordLength === 0 || recordLength > MAX_RECORD_LENGTH) return { complete: true, tls: offset > 0, servername: null };
+    if (buffer.length < offset + RECORD_HEADER_LENGTH + recordLength) return { complete: false };
+
+    fragments.push(buffer.subarray(offset + RECORD_HEADER_LENGTH, offset + RECORD_HEADER_LENGTH + recordLength));
+    received += recordLength;
+    offset += RECORD_HEADER_LENGTH + recordLength;
+
+    if (helloLength === null && received >= 4) {
+      helloLength = 4 + Buffer.concat(fragments).readUIntBE(1, 3);
+      if (helloLength > MAX_HELLO_LENGTH) return { complete: true, tls: true, servername: null };
+    }
+  }
+
+  const hello = Buffer.concat(fragments).subarray(0, helloLength);
+  try {
+    return { complete: true, tls: true, servername: readServerName(hello) };
+  } catch (error) {
+    return { complete: true, tls: true, servername: null }; // Truncated or malformed hello
+  }
+}
+
+function readServerName(hello) {
+  if (hello[0] !== 0x01) return null;
+
+  let offset = 4 + 2 + 32;                   // Handshake header, client version, random
+  offset += 1 + hello.readUInt8(offset);     // Session id
+  offset += 2 + hello.readUInt16BE(offset);  // Cipher suites
+  offset += 1 + hello.readUInt8(offset);     // Compression methods
+  if (offset + 2 > hello.length) return null; // No extensions
+
+  const end = Math.min(hello.length, offset + 2 + hello.readUInt16BE(offset));
+  offset += 2;
+
+  while (offset + 4 <= end) {
+    const type = hello.readUInt16BE(offset);
+    const length = hello.readUInt16BE(offset + 2);
+    offset += 4;
+
+    if (type === 0x0000) {
+      let entry = offset + 2;
+      const listEnd = offset + 2 + hello.readUInt16BE(offset);
+      while (entry + 3 <= listEnd) {
+        const nameType = hello.readUInt8(entry);
+        const nameLength = hello.readUInt16BE(entry + 1);
+        if (nameType === 0) {
+          return hello.toString('ascii', entry + 3, entry + 3 + nameLength).toLowerCase();
+        }
+        entry += 3 + nameLength;
+      }
+      return null;
+    }
+
+    offset += length;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseClientHello
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { IDENTITY_PREFIX: CERT_IDENTITY_PREFIX } = require('./client-certs');
+
+// File-backed API token store shared by the tunnel servers.
+// The file is watched so tokens can be created or revoked while a server is running.
+class TokenStore extends EventEmitter {
+  constructor(filePath = 'tokens.json') {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.tokens = new Map(); // token -> { name, createdAt, revoked }
+    this.watching = false;
+    this.load();
+  }
+
+  load() {
+    this.tokens.clear();
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of data.tokens || []) {
+        if (entry.token) {
+          this.tokens.set(entry.token, {
+            name: entry.name || 'unnamed',
+            createdAt: entry.createdAt || null,
+            revoked: !!entry.revoked
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load token file ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    const tokens = Array.from(this.tokens.entries()).map(([token, entry]) => ({ token, ...entry }));
+    fs.writeFileSync(this.filePath, JSON.stringify({ tokens }, null, 2));
+  }
+
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.filePath, { interval: 1000 }, () => {
+      this.load();
+      console.log(`🔑 Token file reloaded: ${this.activeCount()} active token(s)`);
+      this.emit('change');
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Returns the token's identity, or null when the token is unknown or revoked
+  validate(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    const entry = this.tokens.get(token);
+    if (!entry || entry.revoked) return null;
+    if (TokenStore.isReservedName(entry.name)) return null; // Would pass for a client certificate's identity
+
+    return { name: entry.name };
+  }
+
+  // Names in the client certificate namespace (cert:<CN>) would share its subdomains
+  static isReservedName(name) {
+    return String(name).startsWith(CERT_IDENTITY_PREFIX);
+  }
+
+  create(name) {
+    if (TokenStore.isReservedName(name)) {
+      throw new Error(`Token names cannot start with '${CERT_IDENTITY_PREFIX}' (used for client certificates)`);
+    }
+    const token = `tt_${crypto.randomBytes(24).toString('hex')}`;
+    this.tokens.set(token, {
+      name,
+      createdAt: new Date().toISOString(),
+      revoked: false
+    });
+    this.save();
+    return token;
+  }
+
+  // Revoke by token value or by name; returns the number of tokens revoked
+  revoke(tokenOrName) {
+    let count = 0;
+    for (const [token, entry] of this.tokens) {
+      if (!entry.revoked && (token === tokenOrName || entry.name === tokenOrName)) {
+        entry.revoked = true;
+        count++;
+      }
+    }
+    if (count > 0) this.save();
+    return count;
+  }
+
+  activeCount() {
+    return Array.from(this.tokens.values()).filter(entry => !entry.revoked).length;
+  }
+
+  list() {
+    return Array.from(this.tokens.entries()).map(([token, entry]) => ({
+      token: `${token.substr(0, 10)}…`,
+      ...entry
+    }));
+  }
+}
+
+// CLI for managing tokens: node token-store.js <create|revoke|list> [name|token]
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  const store = new TokenStore(process.env.TUNNEL_TOKENS_FILE || 'tokens.json');
+
+  switch (command) {
+    case 'create': {
+      if (!arg) {
+        console.error('Usage: node token-store.js create <name>');
+        process.exit(1);
+      }
+      if (TokenStore.isReservedName(arg)) {
+        console.error(`❌ Token names cannot start with '${CERT_IDENTITY_PREFIX}' (used for client certificates)`);
+        process.exit(1);
+      }
+      const token = store.create(arg);
+      console.log(`🔑 Created token for ${arg}:`);
+      console.log(token);
+      break;
+    }
+
+    case 'revoke': {
+      if (!arg) {
+        console.error('Usage: node token-store.js revoke <name|token>');
+        process.exit(1);
+      }
+      const count = store.revoke(arg);
+      console.log(count > 0 ? `🚫 Revoked ${count} token(s)` : `⚠️  No active token matches '${arg}'`);
+      break;
+    }
+
+    case 'list':
+      console.table(store.list());
+      break;
+
+    default:
+      console.log(`
+🔑 Tunnel Token Store
+
+Usage: node token-store.js <command> [argument]
+
+Commands:
+  create <name>          Create a new API token
+  revoke <name|token>    Revoke a token (running servers drop it immediately)
+  list                   List tokens
+
+Environment Variables:
+  TUNNEL_TOKENS_FILE     Token file path (default: tokens.json)
+`);
+  }
+}
+
+module.exports = TokenStore;
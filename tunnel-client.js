@@ -2,35 +2,73 @@ const WebSocket = require('ws');
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const Heartbeat = require('./heartbeat');
+const { controlUrl, openControlSocket } = require('./secure-channel');
+const { visitorAuthConfig } = require('./visitor-auth');
+const { ipRulesConfig } = require('./ip-rules');
+const { HeaderPolicy, toRawHeaders } = require('./header-policy');
+const { parseByteSize } = require('./request-body');
 
 class TunnelClient {
   constructor(config = {}) {
     this.config = {
       serverHost: config.serverHost || '20.193.143.179',
       serverPort: config.serverPort || 8080,
+      serverUrl: config.serverUrl || null,     // ws:// or wss:// URL; overrides host/port
+      caFile: config.caFile || null,           // Extra CA bundle for wss://
+      fingerprint: config.fingerprint || null, // Pinned server certificate (SHA-256)
       localHost: config.localHost || 'localhost',
       localPort: config.localPort || 3000,
       suggestedSubdomain: config.suggestedSubdomain || null,
+      token: config.token || null,
+      domain: config.domain || null, // Base domain to register under; the server's default if unset
+      visitorAuth: config.visitorAuth || null, // { basic: [{ username, password }], bearer } required from visitors
+      requestHeaders: config.requestHeaders || {}, // Hop-by-hop strip/add policy for local requests (see header-policy.js)
+      preserveHost: config.preserveHost || false, // Keep the public Host header instead of localhost:<port>
+      maxRequestBody: config.maxRequestBody || null, // Refuse larger uploads, e.g. '100mb'; the server may cap it lower
+      poolSize: config.poolSize === undefined ? 8 : config.poolSize, // Idle keep-alive connections kept to the local service; 0 for none
+      poolIdleTimeout: config.poolIdleTimeout || 4000, // Close them after this long idle; under the usual 5s keep-alive of local servers
       reconnectInterval: config.reconnectInterval || 5000,
       maxReconnectAttempts: config.maxReconnectAttempts || 10,
+      heartbeatInterval: config.heartbeatInterval || 15000, // Ping the server this often
+      heartbeatTimeout: config.heartbeatTimeout || 10000,   // Reconnect when a pong is this late
       ...config
     };
+    controlUrl(this.config); // Throws on an unusable or downgraded server URL before anything connects
+    this.requestHeaderPolicy = new HeaderPolicy(this.config.requestHeaders);
+    this.config.maxRequestBody = parseByteSize(this.config.maxRequestBody);
+    this.localAgent = new http.Agent({
+      keepAlive: this.config.poolSize > 0,
+      maxFreeSockets: this.config.poolSize,
+      timeout: this.config.poolIdleTimeout
+    });
 
     this.ws = null;
     this.tunnelId = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
+    this.uploads = new Map(); // requestId -> local request still receiving a streamed body
   }
 
   async connect() {
     try {
-      const wsUrl = `ws://${this.config.serverHost}:${this.config.serverPort}`;
+      const wsUrl = controlUrl(this.config);
       console.log(`🔌 Connecting to tunnel server: ${wsUrl}`);
       
-      this.ws = new WebSocket(wsUrl);
+      const ws = openControlSocket(wsUrl, this.config);
+      this.ws = ws;
+      this.heartbeat = new Heartbeat(ws, {
+        interval: this.config.heartbeatInterval,
+        timeout: this.config.heartbeatTimeout,
+        onTimeout: () => {
+          console.log('💀 Tunnel server stopped answering pings - reconnecting');
+          ws.terminate();
+        }
+      });
       
       this.ws.on('open', () => {
+        this.heartbeat.start();
         console.log('✅ Connected to tunnel server');
         this.isConnected = true;
         this.reconnectAttempts = 0;
@@ -40,7 +78,14 @@ class TunnelClient {
           type: 'config',
           localHost: this.config.localHost,
           localPort: this.config.localPort,
-          suggestedSubdomain: this.config.suggestedSubdomain
+          suggestedSubdomain: this.config.suggestedSubdomain,
+          token: this.config.token,
+          domain: this.config.domain,
+          auth: this.config.visitorAuth,
+          ipRules: this.config.ipRules,
+          bodyEncoding: 'base64', // Bodies travel as base64 of the exact bytes in both directions
+          streamBodies: true,     // Request bodies may arrive in request_body chunks
+          maxRequestBody: this.config.maxRequestBody
         });
       });
 
@@ -56,6 +101,9 @@ class TunnelClient {
       this.ws.on('close', () => {
         console.log('❌ Disconnected from tunnel server');
         this.isConnected = false;
+        this.heartbeat.stop();
+        for (const upload of this.uploads.values()) upload.destroy();
+        this.uploads.clear();
         this.scheduleReconnect();
       });
 
@@ -78,9 +126,12 @@ class TunnelClient {
         console.log(`📍 Tunnel ID: ${this.tunnelId}`);
         
         if (this.config.suggestedSubdomain) {
-          console.log(`🌐 Requested subdomain: ${this.config.suggestedSubdomain}.grabr.cc`);
+          console.log(`🌐 Requested subdomain: ${this.config.suggestedSubdomain}`);
         } else {
-          console.log(`🌐 Subdomain URL: https://${this.tunnelId}.grabr.cc/`);
+          console.log(`🌐 Subdomain URL: ${message.url}`);
+        }
+        if (message.maxRequestBody) {
+          console.log(`📦 Request bodies limited to ${message.maxRequestBody} bytes`);
         }
         console.log(`⬅️  Local: http://${this.config.localHost}:${this.config.localPort}`);
         break;
@@ -88,13 +139,42 @@ class TunnelClient {
       case 'subdomain_updated':
         this.tunnelId = message.tunnelId;
         console.log(`✨ Using your custom subdomain: ${this.tunnelId}`);
-        console.log(`🌐 Subdomain URL: https://${this.tunnelId}.grabr.cc/`);
+        console.log(`🌐 Subdomain URL: ${message.url}`);
+        break;
+
+      case 'subdomain_denied':
+        console.log(`⚠️  ${message.message} - keeping subdomain ${this.tunnelId}`);
+        break;
+
+      case 'auth_error':
+        console.error(`❌ Authentication failed: ${message.message}`);
+        console.log('💡 Set TUNNEL_TOKEN to an API token issued by the server operator');
+        this.disconnect();
+        process.exit(1);
         break;
 
       case 'request':
         this.handleTunnelRequest(message);
         break;
 
+      case 'request_body':
+        this.handleRequestBody(message);
+        break;
+
+      case 'request_end': {
+        const upload = this.uploads.get(message.requestId);
+        this.uploads.delete(message.requestId);
+        if (upload) upload.end();
+        break;
+      }
+
+      case 'request_abort': {
+        const upload = this.uploads.get(message.requestId);
+        this.uploads.delete(message.requestId);
+        if (upload) upload.destroy(new Error('Request aborted by the visitor or the body limit'));
+        break;
+      }
+
       default:
         console.warn(`⚠️ Unknown message type: ${message.type}`);
     }
@@ -114,8 +194,10 @@ class TunnelClient {
         type: 'response',
         requestId: request.requestId,
         statusCode: response.statusCode,
-        headers: response.headers,
-        body: response.body
+        headers: response.headers, // For servers that predate rawHeaders
+        rawHeaders: response.rawHeaders,
+        body: response.body.toString('base64'),
+        bodyEncoding: 'base64'
       });
 
     } catch (error) {
@@ -127,7 +209,8 @@ class TunnelClient {
         requestId: request.requestId,
         statusCode: 502,
         headers: { 'content-type': 'application/json' },
-        body: { error: 'Bad Gateway', message: error.message }
+        body: Buffer.from(JSON.stringify({ error: 'Bad Gateway', message: error.message })).toString('base64'),
+        bodyEncoding: 'base64'
       });
     }
   }
@@ -136,64 +219,54 @@ class TunnelClient {
     return new Promise((resolve, reject) => {
       const url = new URL(request.url, `http://${this.config.localHost}:${this.config.localPort}`);
       
-      // Use a whitelist approach - only keep essential headers
-      const allowedHeaders = ['accept', 'accept-encoding', 'accept-language', 'user-agent', 'content-type', 'content-length', 'cache-control'];
-      const cleanHeaders = {};
-      
-      for (const [key, value] of Object.entries(request.headers)) {
-        if (allowedHeaders.includes(key.toLowerCase())) {
-          cleanHeaders[key] = value;
-        }
+      // Every visitor header (cookies, Authorization, X-*) as sent, minus hop-by-hop ones
+      const rawHeaders = this.requestHeaderPolicy.apply(request.rawHeaders || toRawHeaders(request.headers));
+      const headers = [];
+      let publicHost = null;
+      for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i].toLowerCase() === 'host') publicHost = publicHost || rawHeaders[i + 1];
+        else headers.push(rawHeaders[i], rawHeaders[i + 1]);
       }
+      // Override host header unless the service wants the public one
+      headers.push('Host', this.config.preserveHost && publicHost ? publicHost : `${this.config.localHost}:${this.config.localPort}`);
       
       const options = {
         hostname: this.config.localHost,
         port: this.config.localPort,
         path: url.pathname + url.search,
         method: request.method,
-        headers: {
-          ...cleanHeaders,
-          host: `${this.config.localHost}:${this.config.localPort}` // Override host header
-        },
+        headers,
+        agent: this.localAgent, // Reuses local connections across requests
         timeout: 25000
       };
 
       console.log(`🔧 Request options:`, {
         method: options.method,
         path: options.path,
-        headers: Object.keys(options.headers)
+        headers: headers.filter((_, i) => i % 2 === 0)
       });
 
       const req = http.request(options, (res) => {
         
-        let body = '';
+        // Raw bytes, untouched: images, archives and compressed bodies must arrive as sent
+        const chunks = [];
         
         res.on('data', (chunk) => {
-          body += chunk;
+          chunks.push(chunk);
         });
         
         res.on('end', () => {
-          // Process response body
-          let processedBody = body;
-          const contentType = res.headers['content-type'] || '';
-          
-          if (contentType.includes('application/json')) {
-            try {
-              processedBody = JSON.parse(body);
-            } catch {
-              // Keep as string if JSON parsing fails
-            }
-          }
-          
           resolve({
             statusCode: res.statusCode,
             headers: res.headers,
-            body: processedBody
+            rawHeaders: res.rawHeaders,
+            body: Buffer.concat(chunks)
           });
-                });
+        });
       });
       
       req.on('error', (error) => {
+         this.uploads.delete(request.requestId);
          console.error(`🔥 Local server connection error:`, error.message);
          reject(new Error(`Local server error: ${error.message}`));
        });
@@ -204,8 +277,20 @@ class TunnelClient {
          reject(new Error('Local server timeout'));
        });
 
+      // A streamed body is written as its chunks arrive (handleRequestBody)
+      if (request.streaming) {
+        this.uploads.set(request.requestId, req);
+        req.on('response', (res) => res.on('end', () => {
+          // Answered before the whole body arrived; the connection is unusable for anything else
+          if (this.uploads.delete(request.requestId)) req.destroy();
+        }));
+        return;
+      }
+
       // Send request body if present
-      if (request.body) {
+      if (request.bodyEncoding === 'base64') {
+        req.write(Buffer.from(request.body, 'base64'));
+      } else if (request.body) {
         if (typeof request.body === 'object') {
           req.write(JSON.stringify(request.body));
         } else {
@@ -217,6 +302,17 @@ class TunnelClient {
     });
   }
 
+  // Acknowledge each chunk once the local request took it, so the server sends more
+  handleRequestBody(message) {
+    const upload = this.uploads.get(message.requestId);
+    if (!upload) return;
+
+    const chunk = Buffer.from(message.data || '', 'base64');
+    upload.write(chunk, () => {
+      this.sendMessage({ type: 'request_ack', requestId: message.requestId, bytes: chunk.length });
+    });
+  }
+
   sendMessage(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       const messageStr = JSON.stringify(message);
@@ -302,8 +398,22 @@ Examples:
   node tunnel-client.js 5000 api
 
 Environment Variables:
-  SERVER_HOST     Tunnel server host (default: 20.193.143.179)
-  SERVER_PORT     Tunnel server port (default: 8080)
+  SERVER_HOST                Tunnel server host (default: 20.193.143.179)
+  SERVER_PORT                Tunnel server port (default: 8080)
+  TUNNEL_TOKEN               API token issued by the server operator
+  TUNNEL_DOMAIN              Base domain to register under (default: the server's first domain)
+  TUNNEL_SERVER_URL          ws:// or wss:// server URL (overrides SERVER_HOST/SERVER_PORT)
+  TUNNEL_CA_FILE             CA bundle that signed the server certificate
+  TUNNEL_SERVER_FINGERPRINT  SHA-256 fingerprint the server certificate must have
+  TUNNEL_VISITOR_BASIC_AUTH  user:password pairs (comma-separated) visitors must log in with
+  TUNNEL_VISITOR_TOKEN       Bearer token visitors may send instead
+  TUNNEL_IP_ALLOW            Addresses/CIDR ranges (comma-separated) allowed to visit; everyone else is refused
+  TUNNEL_IP_DENY             Addresses/CIDR ranges refused
+  TUNNEL_REQUEST_HEADERS     Header policy JSON, e.g. {"strip":["x-debug"],"add":{"X-Env":"dev"}}
+  TUNNEL_PRESERVE_HOST       on: pass the public Host header to your service instead of localhost:<port>
+  TUNNEL_MAX_REQUEST_BODY    Refuse request bodies over this size, e.g. 100mb
+  TUNNEL_POOL_SIZE           Idle keep-alive connections kept to your service (default: 8, 0 for none)
+  TUNNEL_POOL_IDLE_TIMEOUT   Seconds before an idle pooled connection is closed (default: 4)
 `);
     process.exit(0);
   }
@@ -316,16 +426,28 @@ Environment Variables:
   const config = {
     serverHost: process.env.SERVER_HOST || '20.193.143.179',
     serverPort: parseInt(process.env.SERVER_PORT) || 8080,
+    serverUrl: process.env.TUNNEL_SERVER_URL || null,
+    caFile: process.env.TUNNEL_CA_FILE || null,
+    fingerprint: process.env.TUNNEL_SERVER_FINGERPRINT || null,
+    visitorAuth: visitorAuthConfig(process.env.TUNNEL_VISITOR_BASIC_AUTH, process.env.TUNNEL_VISITOR_TOKEN),
+    ipRules: ipRulesConfig(process.env.TUNNEL_IP_ALLOW, process.env.TUNNEL_IP_DENY),
+    requestHeaders: JSON.parse(process.env.TUNNEL_REQUEST_HEADERS || '{}'),
+    preserveHost: process.env.TUNNEL_PRESERVE_HOST === 'on',
+    maxRequestBody: process.env.TUNNEL_MAX_REQUEST_BODY || null,
+    poolSize: process.env.TUNNEL_POOL_SIZE ? parseInt(process.env.TUNNEL_POOL_SIZE) : 8,
+    poolIdleTimeout: parseInt(process.env.TUNNEL_POOL_IDLE_TIMEOUT) * 1000 || 4000,
     localHost: 'localhost',
     localPort,
-    suggestedSubdomain
+    suggestedSubdomain,
+    token: process.env.TUNNEL_TOKEN || null,
+    domain: process.env.TUNNEL_DOMAIN || null
   };
 
   console.log('📋 Configuration:');
-  console.log(`   Server: ${config.serverHost}:${config.serverPort}`);
+  console.log(`   Server: ${config.serverUrl || `${config.serverHost}:${config.serverPort}`}`);
   console.log(`   Local: ${config.localHost}:${config.localPort}`);
   if (suggestedSubdomain) {
-    console.log(`   Requested: ${suggestedSubdomain}.grabr.cc`);
+    console.log(`   Requested subdomain: ${suggestedSubdomain}`);
   }
   console.log('');
 
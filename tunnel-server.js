@@ -2,35 +2,103 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const httpProxy = require('http-proxy-middleware');
+const cors = require('cors');
+const TokenStore = require('./token-store');
+const SubdomainRegistry = require('./subdomain-registry');
+const Heartbeat = require('./heartbeat');
+const CertificateStore = require('./tls-certs');
+const { parseVisitorAuth, authorizeVisitor, sendUnauthorized, describeVisitorAuth } = require('./visitor-auth');
+const { IPRules, trustedProxyMatcher, visitorAddress } = require('./ip-rules');
+const { RateLimiter, loadSecurityConfig, corsOptions, sendRateLimited } = require('./rate-limit');
+const { HeaderPolicy, toRawHeaders, requestRawHeaders, setRawHeaders } = require('./header-policy');
+const { forwardedHeaders, withForwardedHeaders } = require('./forwarded-headers');
+const { parseByteSize, requestBodyLimit, expectsContinue, declaredLength, sendPayloadTooLarge } = require('./request-body');
+const { validateRoutePolicy, resolveUnmatched, sendNotFound } = require('./route-policy');
+const { DEFAULT_DOMAIN, parseDomains, matchHost, pickDomain, tunnelUrl, normalizeHostname } = require('./base-domains');
+
+// Clients that cannot take streamed request bodies get them whole, up to this size
+const BUFFERED_BODY_LIMIT = 10 * 1024 * 1024;
+
+// Streamed request body bytes a client may have unacknowledged before the visitor is paused
+const UPLOAD_WINDOW = 256 * 1024;
 
 class TunnelServer {
   constructor(config = {}) {
     this.config = {
       httpPort: process.env.SERVER_PORT || config.httpPort || 80,
       wsPort: process.env.TUNNEL_PORT || config.wsPort || 8080,
-      domain: config.domain || 'grabr.cc',
+      domains: config.domains || config.domain || DEFAULT_DOMAIN, // Base domains tunnels are served under (see base-domains.js)
+      tokensFile: config.tokensFile || 'tokens.json',
+      reservationsFile: config.reservationsFile || 'reservations.json',
+      requireAuth: config.requireAuth !== false,
+      handshakeTimeout: config.handshakeTimeout || 10000,
+      routing: config.routing || 'strict',       // Unmatched hosts: strict | default | fallback (see route-policy.js)
+      defaultTunnel: config.defaultTunnel || null, // Tunnel that gets unmatched hosts in 'default' mode
+      heartbeatInterval: config.heartbeatInterval || 15000, // Ping each tunnel this often
+      heartbeatTimeout: config.heartbeatTimeout || 10000,   // Evict tunnels whose pong is this late
+      tunnelTls: config.tunnelTls || false, // Serve the WebSocket port as wss:// with certificates from certDir
+      certDir: config.certDir || 'certs',   // See tls-certs.js
+      httpsPort: config.httpsPort || null,  // Terminate TLS for visitors on this port; off when unset
+      httpsRedirect: config.httpsRedirect || false, // Redirect plain HTTP visitors to the HTTPS listener
+      ipAllow: config.ipAllow || [],        // Server-wide visitor CIDR rules, on top of each tunnel's own (see ip-rules.js)
+      ipDeny: config.ipDeny || [],
+      trustedProxies: config.trustedProxies || [], // Proxies whose CF-Connecting-IP / X-Forwarded-For name the visitor
+      rateLimiting: config.rateLimiting || { enabled: false }, // Per-visitor/per-tunnel limits (see rate-limit.js)
+      allowedOrigins: config.allowedOrigins || ['*'], // CORS origins for /health and /dashboard
+      maxRequestBody: config.maxRequestBody || null, // Ceiling for each tunnel's request body limit, e.g. '100mb'; none when unset
+      responseHeaders: config.responseHeaders || {}, // Hop-by-hop strip/add policy for responses (see header-policy.js)
       ...config
     };
+    this.config.domains = parseDomains(this.config.domains);
+    this.config.maxRequestBody = parseByteSize(this.config.maxRequestBody);
+    validateRoutePolicy(this.config);
+    this.ipRules = new IPRules({ allow: this.config.ipAllow, deny: this.config.ipDeny });
+    this.isTrustedProxy = trustedProxyMatcher(this.config.trustedProxies);
+    this.rateLimiter = new RateLimiter(this.config.rateLimiting);
+    this.responseHeaderPolicy = new HeaderPolicy(this.config.responseHeaders);
     
     this.tunnels = new Map(); // tunnelId -> { ws, localPort, connectedAt, requestCount }
-    this.pendingRequests = new Map(); // requestId -> { res, timeout }
+    this.pendingRequests = new Map(); // requestId -> { res, timeout, req, unacked }
+    this.tokenStore = new TokenStore(this.config.tokensFile);
+    this.subdomainRegistry = new SubdomainRegistry(this.config.reservationsFile);
     
     this.app = express();
     this.httpServer = http.createServer(this.app);
-    this.wsServer = new WebSocket.Server({ port: this.config.wsPort });
+    this.httpServer.on('checkContinue', this.app); // 100 Continue is sent by handleTunnelRequest, see request-body.js
+    this.certificates = null;
+    this.httpsServer = null;
+    this.controlServer = null;
+    if (this.config.httpsPort || this.config.tunnelTls) {
+      this.certificates = new CertificateStore(this.config.certDir, { defaultHostname: this.config.domains[0] });
+    }
+    if (this.config.httpsPort) {
+      this.httpsServer = this.certificates.createServer(this.app);
+      this.httpsServer.on('checkContinue', this.app);
+    }
+    if (this.config.tunnelTls) {
+      this.controlServer = this.certificates.createServer();
+      this.wsServer = new WebSocket.Server({ server: this.controlServer });
+    } else {
+      this.wsServer = new WebSocket.Server({ port: this.config.wsPort });
+    }
     
     this.setupRoutes();
     this.setupWebSocket();
   }
 
   setupRoutes() {
-    // Enable trust proxy for Cloudflare
-    this.app.set('trust proxy', true);
-    
-    // Parse request bodies
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-    this.app.use(express.raw({ type: '*/*', limit: '10mb' }));
+    // Forwarded headers count only from configured proxies (e.g. Cloudflare's ranges)
+    this.app.set('trust proxy', this.isTrustedProxy);
+
+    if (this.config.httpsPort && this.config.httpsRedirect) {
+      this.app.use((req, res, next) => {
+        if (req.secure) return next();
+        res.redirect(308, this.httpsUrl(req));
+      });
+    }
+
+    // CORS for the server's own endpoints only; tunneled services answer for themselves
+    this.app.use(['/health', '/dashboard'], cors(corsOptions(this.config.allowedOrigins)));
     
     // Health check
     this.app.get('/health', (req, res) => {
@@ -48,16 +116,24 @@ class TunnelServer {
         id,
         connected: tunnel.ws.readyState === WebSocket.OPEN,
         localPort: tunnel.localPort,
+        owner: tunnel.identity,
         connectedAt: tunnel.connectedAt,
         requestCount: tunnel.requestCount || 0,
-        url: `https://${id}.${this.config.domain}/`
+        domain: tunnel.domain,
+        latencyMs: tunnel.heartbeat.latency,
+        lastPongAt: tunnel.heartbeat.lastPongAt,
+        url: tunnelUrl(id, tunnel.domain),
+        visitorAuth: describeVisitorAuth(tunnel.visitorAuth),
+        ipRules: tunnel.ipRules,
+        maxRequestBody: tunnel.maxRequestBody
       }));
 
       res.json({
         server: {
           httpPort: this.config.httpPort,
+          httpsPort: this.config.httpsPort,
           wsPort: this.config.wsPort,
-          domain: this.config.domain
+          domains: this.config.domains
         },
         tunnels,
         totalRequests: tunnels.reduce((sum, t) => sum + t.requestCount, 0)
@@ -66,38 +142,78 @@ class TunnelServer {
 
     // Main tunnel handler - catch all requests
     this.app.use('*', (req, res) => {
-      this.handleTunnelRequest(req, res);
+      this.handleTunnelRequest(req, res).catch((error) => {
+        console.error('❌ Error forwarding request:', error.message);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      });
     });
   }
 
+  httpsUrl(req) {
+    const port = this.config.httpsPort === 443 ? '' : `:${this.config.httpsPort}`;
+    return `https://${normalizeHostname(req.headers.host)}${port}${req.originalUrl}`;
+  }
+
   setupWebSocket() {
     this.wsServer.on('connection', (ws, req) => {
-      const tunnelId = this.generateTunnelId();
-      console.log(`🔗 New tunnel connection: ${tunnelId}`);
+      console.log(`🔗 New tunnel connection from ${req.socket.remoteAddress}`);
 
+      // The tunnel is only registered once its config message has been authenticated
       const tunnel = {
         ws,
-        id: tunnelId,
+        id: null,
+        identity: null,
+        token: null,
         localPort: null,
+        connectHost: req.headers.host,
+        domain: null, // Base domain the tunnel registers under
         connectedAt: new Date().toISOString(),
         requestCount: 0
       };
 
-      this.tunnels.set(tunnelId, tunnel);
+      tunnel.heartbeat = new Heartbeat(ws, {
+        interval: this.config.heartbeatInterval,
+        timeout: this.config.heartbeatTimeout,
+        onTimeout: () => {
+          console.log(`💀 Tunnel ${tunnel.id || 'connection'} stopped answering pings - evicting`);
+          ws.terminate();
+        }
+      });
+      tunnel.heartbeat.start();
+
+      const handshakeTimer = setTimeout(() => {
+        if (!tunnel.id) {
+          this.rejectTunnel(tunnel, 'Handshake timeout: no config message received');
+        }
+      }, this.config.handshakeTimeout);
 
       ws.on('message', (data) => {
         try {
           const message = JSON.parse(data);
-          console.log(`📡 Received message: type=${message.type}, from=${tunnelId}, size=${data.length} bytes`);
-          this.handleTunnelMessage(tunnelId, message);
+          console.log(`📡 Received message: type=${message.type}, from=${tunnel.id || 'unregistered'}, size=${data.length} bytes`);
+          if (!tunnel.id && message.type !== 'config') return;
+          this.handleTunnelMessage(tunnel, message);
         } catch (error) {
-          console.error(`❌ Invalid message from ${tunnelId}:`, error.message);
+          console.error(`❌ Invalid message from ${tunnel.id || 'unregistered'}:`, error.message);
         }
       });
 
       ws.on('close', () => {
+        clearTimeout(handshakeTimer);
+        tunnel.heartbeat.stop();
+        if (!tunnel.id) return;
+
+        const tunnelId = tunnel.id;
         console.log(`🔌 Tunnel disconnected: ${tunnelId}`);
-        this.tunnels.delete(tunnelId);
+
+        // Remove the tunnel and any custom subdomain alias pointing at it
+        for (const [id, entry] of this.tunnels.entries()) {
+          if (entry === tunnel) {
+            this.tunnels.delete(id);
+          }
+        }
         
         // Clean up any pending requests for this tunnel
         for (const [requestId, pending] of this.pendingRequests.entries()) {
@@ -110,29 +226,127 @@ class TunnelServer {
           }
         }
       });
-
-      // Send connection info
-      ws.send(JSON.stringify({
-        type: 'connected',
-        tunnelId,
-        message: 'Tunnel established successfully'
-      }));
     });
   }
 
-  handleTunnelMessage(tunnelId, message) {
-    const tunnel = this.tunnels.get(tunnelId);
-    if (!tunnel) return;
+  // Requests forwarded to a tunnel and still waiting for the response (ids start with the tunnel id)
+  activeRequests(tunnel) {
+    let count = 0;
+    for (const requestId of this.pendingRequests.keys()) {
+      if (requestId.startsWith(`${tunnel.id}_`)) count++;
+    }
+    return count;
+  }
+
+  authenticateTunnel(tunnel, message) {
+    if (!this.config.requireAuth) return true;
+
+    const identity = this.tokenStore.validate(message.token);
+    if (!identity) {
+      this.rejectTunnel(tunnel, message.token ? 'Invalid or revoked API token' : 'Missing API token');
+      return false;
+    }
 
+    tunnel.identity = identity.name;
+    tunnel.token = message.token;
+    return true;
+  }
+
+  rejectTunnel(tunnel, reason) {
+    console.log(`🚫 Rejected tunnel ${tunnel.id || 'connection'}: ${reason}`);
+    if (tunnel.ws.readyState === WebSocket.OPEN) {
+      tunnel.ws.send(JSON.stringify({ type: 'auth_error', message: reason }));
+      tunnel.ws.close(4001, 'Unauthorized');
+    }
+  }
+
+  // Drop tunnels whose token was revoked since they connected
+  disconnectRevokedTunnels() {
+    if (!this.config.requireAuth) return;
+
+    for (const tunnel of new Set(this.tunnels.values())) {
+      if (tunnel.token && !this.tokenStore.validate(tunnel.token)) {
+        this.rejectTunnel(tunnel, 'API token revoked');
+      }
+    }
+  }
+
+  // Check whether a tunnel may use the requested subdomain, honouring reservations
+  claimSubdomain(tunnel, requestedId) {
+    const owner = this.subdomainRegistry.getOwner(requestedId);
+    if (owner && owner !== tunnel.identity) {
+      this.denySubdomain(tunnel, requestedId, 'reserved', `Subdomain '${requestedId}' is reserved by another user`);
+      return false;
+    }
+
+    const existing = this.tunnels.get(requestedId);
+    if (existing) {
+      if (!tunnel.identity || existing.identity !== tunnel.identity) {
+        this.denySubdomain(tunnel, requestedId, 'in_use', `Subdomain '${requestedId}' is already in use`);
+        return false;
+      }
+
+      // The owner reconnected before the old control connection was noticed as dead
+      console.log(`♻️  Reclaiming subdomain ${requestedId} from stale connection of ${tunnel.identity}`);
+      existing.ws.terminate();
+    }
+
+    if (tunnel.identity) {
+      this.subdomainRegistry.reserve(requestedId, tunnel.identity);
+    }
+    return true;
+  }
+
+  denySubdomain(tunnel, subdomain, reason, message) {
+    console.log(`⚠️  ${message} (requested by ${tunnel.identity || 'anonymous client'})`);
+    tunnel.ws.send(JSON.stringify({ type: 'subdomain_denied', subdomain, reason, message }));
+  }
+
+  handleTunnelMessage(tunnel, message) {
     switch (message.type) {
-      case 'config':
+      case 'config': {
+        if (tunnel.id) break; // Already configured
+
+        if (!this.authenticateTunnel(tunnel, message)) break;
+
+        // Visitor restrictions fail closed: a tunnel that asked for protection never runs without it
+        try {
+          tunnel.visitorAuth = parseVisitorAuth(message.auth);
+        } catch (error) {
+          this.rejectTunnel(tunnel, `Invalid visitor auth: ${error.message}`);
+          break;
+        }
+        try {
+          tunnel.ipRules = IPRules.fromConfig(message.ipRules);
+        } catch (error) {
+          this.rejectTunnel(tunnel, `Invalid IP rules: ${error.message}`);
+          break;
+        }
+
+        const tunnelId = this.generateTunnelId();
+        tunnel.id = tunnelId;
         tunnel.localPort = message.localPort;
         tunnel.localHost = message.localHost || 'localhost';
+        tunnel.domain = pickDomain(message.domain, tunnel.connectHost, this.config.domains);
+        tunnel.bodyEncoding = message.bodyEncoding === 'base64' ? 'base64' : null; // Older clients take text bodies
+        tunnel.streamBodies = !!message.streamBodies && tunnel.bodyEncoding === 'base64'; // Older clients need bodies whole
+        tunnel.maxRequestBody = requestBodyLimit(this.config.maxRequestBody, parseInt(message.maxRequestBody) || null);
+        this.tunnels.set(tunnelId, tunnel);
+
+        // Send connection info
+        tunnel.ws.send(JSON.stringify({
+          type: 'connected',
+          tunnelId,
+          domain: tunnel.domain,
+          url: tunnelUrl(tunnelId, tunnel.domain),
+          maxRequestBody: tunnel.maxRequestBody || undefined,
+          message: 'Tunnel established successfully'
+        }));
         
         // Handle custom subdomain request
         if (message.suggestedSubdomain) {
           const requestedId = message.suggestedSubdomain.toLowerCase().replace(/[^a-z0-9]/g, '');
-          if (requestedId && !this.tunnels.has(requestedId) && requestedId !== tunnelId) {
+          if (requestedId && this.claimSubdomain(tunnel, requestedId)) {
             // Create alias for custom subdomain pointing to same tunnel
             this.tunnels.set(requestedId, tunnel);
             console.log(`✨ Using custom subdomain: ${requestedId}`);
@@ -140,64 +354,106 @@ class TunnelServer {
             tunnel.ws.send(JSON.stringify({
               type: 'subdomain_updated',
               tunnelId: requestedId,
-              message: `Tunnel available at https://${requestedId}.${this.config.domain}/`
+              url: tunnelUrl(requestedId, tunnel.domain),
+              message: `Tunnel available at ${tunnelUrl(requestedId, tunnel.domain)}`
             }));
             return;
           }
         }
         
-        console.log(`📋 Tunnel ${tunnelId} configured for ${tunnel.localHost}:${tunnel.localPort}`);
+        console.log(`📋 Tunnel ${tunnelId} configured for ${tunnel.localHost}:${tunnel.localPort}${tunnel.identity ? ` (owner: ${tunnel.identity})` : ''}`);
         break;
+      }
 
       case 'response':
         console.log(`📨 Received response message for request ${message.requestId}`);
         this.handleTunnelResponse(message);
         break;
 
+      case 'request_ack':
+        this.handleRequestAck(message);
+        break;
+
       default:
         console.warn(`⚠️ Unknown message type: ${message.type}`);
     }
   }
 
-  handleTunnelRequest(req, res) {
+  async handleTunnelRequest(req, res) {
     const host = req.get('host') || '';
-    const subdomain = host.split('.')[0];
+    const { subdomain } = matchHost(host, this.config.domains);
     
-    // Find tunnel by subdomain or fallback to any active tunnel
-    let tunnel = this.tunnels.get(subdomain);
+    // Find tunnel by subdomain, else whatever the routing policy says
+    let tunnel = subdomain && this.tunnels.get(subdomain);
     
     if (!tunnel || tunnel.ws.readyState !== WebSocket.OPEN) {
-      // Fallback to first active tunnel
-      const activeTunnels = Array.from(this.tunnels.values())
-        .filter(t => t.ws.readyState === WebSocket.OPEN);
-      
-      if (activeTunnels.length === 0) {
-        return res.status(404).json({ 
-          error: 'No active tunnels available',
-          suggestion: 'Start a tunnel client first'
-        });
+      const tunnelId = resolveUnmatched(this.tunnels, this.config, (t) => t.ws.readyState === WebSocket.OPEN);
+      if (!tunnelId) {
+        return sendNotFound(req, res, host);
       }
       
-      tunnel = activeTunnels[0];
-      console.log(`🔄 Fallback routing: ${req.method} ${req.path} → tunnel ${tunnel.id}`);
+      tunnel = this.tunnels.get(tunnelId);
+      console.log(`🔄 ${this.config.routing} routing: ${req.method} ${req.path} → tunnel ${tunnel.id}`);
     } else {
       console.log(`🌐 Subdomain routing: ${host}${req.path} → tunnel ${tunnel.id}`);
     }
 
+    // Server-wide rules and the tunnel's own must both let the visitor through
+    const address = visitorAddress(req.socket.remoteAddress, req.headers, this.isTrustedProxy);
+    if (!this.ipRules.permits(address) || (tunnel.ipRules && !tunnel.ipRules.permits(address))) {
+      console.log(`⛔ Denied ${address} → tunnel ${tunnel.id}`);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (this.rateLimiter.connectionsExhausted(tunnel.id, this.activeRequests(tunnel))) {
+      return sendRateLimited(res, 1);
+    }
+    const retryAfter = this.rateLimiter.hit(tunnel.id, address);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    if (tunnel.visitorAuth && !authorizeVisitor(tunnel.visitorAuth, req.headers)) {
+      return sendUnauthorized(res, tunnel.visitorAuth, tunnel.id);
+    }
+
+    // Bodies are passed on byte for byte: no JSON/form parsing, no decompression
+    const limit = tunnel.streamBodies ? tunnel.maxRequestBody : requestBodyLimit(tunnel.maxRequestBody, BUFFERED_BODY_LIMIT);
+    if (limit && declaredLength(req) > limit) {
+      return sendPayloadTooLarge(res, limit);
+    }
+    if (expectsContinue(req)) res.writeContinue();
+
+    let body = null;
+    if (!tunnel.streamBodies) {
+      try {
+        body = await this.readRequestBody(req, limit);
+      } catch (error) {
+        res.set('Connection', 'close');
+        return res.status(error.statusCode || 400).json({ error: error.message });
+      }
+    }
+
     tunnel.requestCount = (tunnel.requestCount || 0) + 1;
 
     // Generate unique request ID
     const requestId = `${tunnel.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    // Store pending request
-    const timeout = setTimeout(() => {
-      this.pendingRequests.delete(requestId);
-      if (!res.headersSent) {
-        res.status(504).json({ error: 'Gateway timeout' });
-      }
-    }, 30000);
+    // Store pending request; the response timeout starts once the whole body is through
+    const pending = { res, timeout: null, req: null, unacked: 0 };
+    this.pendingRequests.set(requestId, pending);
+    const startTimeout = () => {
+      pending.timeout = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        if (!res.headersSent) {
+          res.status(504).json({ error: 'Gateway timeout' });
+        }
+      }, 30000);
+    };
 
-    this.pendingRequests.set(requestId, { res, timeout });
+    // Visitor went away before the response: stop the local request too
+    res.on('close', () => {
+      if (this.pendingRequests.get(requestId) !== pending) return;
+      clearTimeout(pending.timeout);
+      this.pendingRequests.delete(requestId);
+      if (tunnel.streamBodies) tunnel.ws.send(JSON.stringify({ type: 'request_abort', requestId }));
+    });
 
     // Forward request to tunnel client
     const requestData = {
@@ -205,16 +461,86 @@ class TunnelServer {
       requestId,
       method: req.method,
       url: req.originalUrl,
-      headers: req.headers
+      headers: req.headers, // For clients that predate rawHeaders
+      rawHeaders: withForwardedHeaders(requestRawHeaders(req), forwardedHeaders(req, this.isTrustedProxy))
     };
     
-    // Only include body if it's meaningful
-    if (req.body && (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH')) {
-      requestData.body = req.body;
+    if (tunnel.streamBodies) {
+      requestData.streaming = true; // Body follows as request_body messages, then request_end
+    } else if (body.length > 0) {
+      requestData.body = tunnel.bodyEncoding === 'base64' ? body.toString('base64') : body.toString('utf8');
+      if (tunnel.bodyEncoding) requestData.bodyEncoding = tunnel.bodyEncoding;
     }
 
     console.log(`📤 Forwarding: ${req.method} ${req.originalUrl} → ${tunnel.id}`);
     tunnel.ws.send(JSON.stringify(requestData));
+
+    if (tunnel.streamBodies) {
+      this.streamRequestBody(tunnel, requestId, pending, req, limit, startTimeout);
+    } else {
+      startTimeout();
+    }
+  }
+
+  // Pass the visitor's body on chunk by chunk. The client acknowledges bytes once its local
+  // request took them, and the visitor is paused while too many are unacknowledged.
+  streamRequestBody(tunnel, requestId, pending, req, limit, onEnd) {
+    pending.req = req;
+    let received = 0;
+
+    req.on('data', (chunk) => {
+      if (this.pendingRequests.get(requestId) !== pending) return; // Answered or abandoned already
+
+      received += chunk.length;
+      if (limit && received > limit) {
+        console.log(`📦 Request body for ${tunnel.id} exceeded ${limit} bytes`);
+        this.pendingRequests.delete(requestId);
+        tunnel.ws.send(JSON.stringify({ type: 'request_abort', requestId }));
+        req.pause();
+        if (!pending.res.headersSent) sendPayloadTooLarge(pending.res, limit);
+        return;
+      }
+
+      tunnel.ws.send(JSON.stringify({ type: 'request_body', requestId, data: chunk.toString('base64') }));
+      pending.unacked += chunk.length;
+      if (pending.unacked >= UPLOAD_WINDOW) req.pause();
+    });
+
+    req.on('end', () => {
+      if (this.pendingRequests.get(requestId) !== pending) return;
+      tunnel.ws.send(JSON.stringify({ type: 'request_end', requestId }));
+      onEnd();
+    });
+  }
+
+  handleRequestAck(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (!pending || !pending.req) return;
+
+    pending.unacked -= message.bytes || 0;
+    if (pending.unacked < UPLOAD_WINDOW && pending.req.isPaused()) {
+      pending.req.resume();
+    }
+  }
+
+  readRequestBody(req, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (limit && size > limit) {
+          req.removeAllListeners('data');
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('aborted', () => reject(new Error('Request aborted')));
+      req.on('error', reject);
+    });
   }
 
   handleTunnelResponse(message) {
@@ -228,6 +554,7 @@ class TunnelServer {
     this.pendingRequests.delete(message.requestId);
 
     const { res } = pending;
+    if (pending.req) pending.req.resume(); // Answered before the upload finished; let the rest drain
     if (res.headersSent) {
       console.warn(`⚠️ Headers already sent for ${message.requestId}`);
       return;
@@ -239,14 +566,13 @@ class TunnelServer {
       // Set status and headers
       res.status(message.statusCode || 200);
       
-      if (message.headers) {
-        Object.entries(message.headers).forEach(([key, value]) => {
-          res.set(key, value);
-        });
-      }
+      // As sent (casing, repeated Set-Cookie, Content-Length and Content-Encoding matching the bytes)
+      setRawHeaders(res, this.responseHeaderPolicy.apply(message.rawHeaders || toRawHeaders(message.headers)));
 
       // Send response body
-      if (message.body) {
+      if (message.bodyEncoding === 'base64') {
+        res.end(Buffer.from(message.body || '', 'base64'));
+      } else if (message.body) {
         if (typeof message.body === 'object') {
           res.json(message.body);
         } else {
@@ -267,42 +593,96 @@ class TunnelServer {
 
   generateTunnelId() {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < 8; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
+    let result;
+    do {
+      result = '';
+      for (let i = 0; i < 8; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+      }
+    } while (this.tunnels.has(result) || this.subdomainRegistry.isReserved(result));
     return result;
   }
 
   start() {
+    // Pick up token revocations without a restart
+    this.tokenStore.watch();
+    this.tokenStore.on('change', () => this.disconnectRevokedTunnels());
+    this.subdomainRegistry.watch();
+    if (this.config.requireAuth && this.tokenStore.activeCount() === 0) {
+      console.log(`⚠️  No API tokens in ${this.tokenStore.filePath} - create one with: node token-store.js create <name>`);
+    }
+    // Renewed or added certificates apply to new handshakes without a restart
+    if (this.certificates) {
+      this.certificates.watch();
+      if (this.certificates.size === 0) {
+        console.log(`⚠️  No certificates in ${this.certificates.dir} - TLS handshakes will fail until some are added`);
+      }
+    }
+    if (this.controlServer) {
+      this.controlServer.listen(this.config.wsPort);
+      if (this.certificates.size > 0) {
+        console.log(`📌 Pin with TUNNEL_SERVER_FINGERPRINT=${this.certificates.defaultFingerprint()}`);
+      }
+    }
+    if (this.httpsServer) {
+      this.httpsServer.listen(this.config.httpsPort, '0.0.0.0', () => {
+        console.log(`🔒 HTTPS server running on port ${this.config.httpsPort} (${this.certificates.size} certificate(s))`);
+      });
+    }
+
     return new Promise((resolve) => {
       this.httpServer.listen(this.config.httpPort, '0.0.0.0', () => {
         console.log(`🚀 HTTP server running on port ${this.config.httpPort}`);
-        console.log(`🔌 WebSocket server running on port ${this.config.wsPort}`);
-        console.log(`🌐 Public Dashboard: https://${this.config.domain}/dashboard`);
+        console.log(`🔌 WebSocket server running on port ${this.config.wsPort}${this.controlServer ? ' (wss)' : ''}`);
+        console.log(`🌐 Public Dashboard: https://${this.config.domains[0]}/dashboard`);
         resolve();
       });
     });
   }
 
   stop() {
+    this.tokenStore.unwatch();
+    this.subdomainRegistry.unwatch();
+    if (this.certificates) this.certificates.unwatch();
+
     return Promise.all([
       new Promise(resolve => this.httpServer.close(resolve)),
-      new Promise(resolve => this.wsServer.close(resolve))
+      new Promise(resolve => this.wsServer.close(resolve)),
+      this.controlServer && new Promise(resolve => this.controlServer.close(resolve)),
+      this.httpsServer && new Promise(resolve => this.httpsServer.close(resolve))
     ]);
   }
 }
 
 // Auto-start if run directly
 if (require.main === module) {
+  const security = loadSecurityConfig(process.env.TUNNEL_CONFIG_FILE || 'config.json');
   const config = {
     httpPort: parseInt(process.env.SERVER_PORT) || 80,
     wsPort: parseInt(process.env.TUNNEL_PORT) || 8080,
-    domain: process.env.DOMAIN || 'grabr.cc'
+    domains: process.env.TUNNEL_DOMAINS || process.env.DOMAIN || DEFAULT_DOMAIN,
+    tokensFile: process.env.TUNNEL_TOKENS_FILE || 'tokens.json',
+    reservationsFile: process.env.TUNNEL_RESERVATIONS_FILE || 'reservations.json',
+    requireAuth: process.env.TUNNEL_AUTH !== 'off',
+    routing: process.env.TUNNEL_ROUTING || 'strict',
+    defaultTunnel: process.env.TUNNEL_DEFAULT || null,
+    heartbeatInterval: parseInt(process.env.TUNNEL_HEARTBEAT_INTERVAL) * 1000 || 15000,
+    heartbeatTimeout: parseInt(process.env.TUNNEL_HEARTBEAT_TIMEOUT) * 1000 || 10000,
+    tunnelTls: process.env.TUNNEL_TLS === 'on',
+    certDir: process.env.TUNNEL_CERT_DIR || 'certs',
+    httpsPort: parseInt(process.env.HTTPS_PORT) || null,
+    httpsRedirect: process.env.TUNNEL_HTTPS_REDIRECT === 'on',
+    ipAllow: process.env.TUNNEL_GLOBAL_IP_ALLOW || [],
+    ipDeny: process.env.TUNNEL_GLOBAL_IP_DENY || [],
+    trustedProxies: process.env.TUNNEL_TRUSTED_PROXIES || [],
+    maxRequestBody: process.env.TUNNEL_MAX_REQUEST_BODY || null,
+    responseHeaders: JSON.parse(process.env.TUNNEL_RESPONSE_HEADERS || '{}'),
+    rateLimiting: security.rateLimiting,
+    allowedOrigins: security.allowedOrigins
   };
 
   console.log('🚀 Starting HTTP Tunnel Server...');
-  console.log(`📋 Configuration: HTTP=${config.httpPort}, WebSocket=${config.wsPort}, Domain=${config.domain}`);
+  console.log(`📋 Configuration: HTTP=${config.httpPort}${config.httpsPort ? `, HTTPS=${config.httpsPort}` : ''}, WebSocket=${config.wsPort}, Domains=${config.domains}`);
 
   const server = new TunnelServer(config);
   server.start().catch(console.error);
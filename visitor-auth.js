@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// Credentials a tunnel client can require from visitors, sent as `auth` in its
+// config message:
+//
+//   { basic: [{ username, password }, ...], bearer: 'shared-token' }
+//
+// Either part may be left out; a visitor passing either is let through. The
+// servers check requests and WebSocket upgrades before anything is forwarded,
+// and remove the Authorization header so the credentials never reach the local
+// service. Secrets are kept only as SHA-256 digests.
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Validated gate for a config message's `auth`, null when there is none; throws on bad settings
+function parseVisitorAuth(auth) {
+  if (!auth) return null;
+
+  const users = [].concat(auth.basic || []).map((entry) => {
+    if (!entry || typeof entry.username !== 'string' || typeof entry.password !== 'string' ||
+        !entry.username || entry.username.includes(':') || !entry.password) {
+      throw new Error('basic auth entries need a username (without ":") and a password');
+    }
+    return { username: entry.username, password: digest(`${entry.username}:${entry.password}`) };
+  });
+
+  if (auth.bearer !== undefined && (typeof auth.bearer !== 'string' || auth.bearer.length < 8)) {
+    throw new Error('bearer token must be a string of at least 8 characters');
+  }
+  const bearer = auth.bearer ? digest(auth.bearer) : null;
+
+  if (users.length === 0 && !bearer) {
+    throw new Error('auth needs basic credentials or a bearer token');
+  }
+  return { users, bearer };
+}
+
+// Client side: the `auth` config value from 'alice:secret,bob:hunter2' style pairs
+// (TUNNEL_VISITOR_BASIC_AUTH) and a bearer token (TUNNEL_VISITOR_TOKEN), or null
+function visitorAuthConfig(basicPairs, bearer) {
+  const basic = String(basicPairs || '').split(',').map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+    const colon = pair.indexOf(':');
+    return { username: pair.slice(0, colon), password: pair.slice(colon + 1) };
+  });
+
+  if (basic.length === 0 && !bearer) return null;
+  return { basic, bearer: bearer || undefined };
+}
+
+// True when the request headers carry valid credentials; strips them so they are not forwarded
+function authorizeVisitor(gate, headers) {
+  const match = String(headers.authorization || '').match(/^(\S+)\s+(.+)$/);
+  const scheme = match ? match[1].toLowerCase() : '';
+  const credentials = match ? match[2].trim() : '';
+
+  let presented = null;
+  let candidates = [];
+  if (scheme === 'basic' && gate.users.length > 0) {
+    presented = digest(Buffer.from(credentials, 'base64').toString('utf8'));
+    candidates = gate.users.map((user) => user.password);
+  } else if (scheme === 'bearer' && gate.bearer) {
+    presented = digest(credentials);
+    candidates = [gate.bearer];
+  }
+
+  // Compare against every candidate so the timing does not reveal which one matched
+  let authorized = false;
+  for (const candidate of candidates) {
+    if (crypto.timingSafeEqual(presented, candidate)) authorized = true;
+  }
+
+  if (authorized) delete headers.authorization;
+  return authorized;
+}
+
+// WWW-Authenticate values for a 401; browsers show a login prompt for the Basic one
+function challenges(gate, realm) {
+  const values = [];
+  if (gate.users.length > 0) values.push(`Basic realm="${realm}", charset="UTF-8"`);
+  if (gate.bearer) values.push(`Bearer realm="${realm}"`);
+  return values;
+}
+
+function sendUnauthorized(res, gate, realm) {
+  res.set('WWW-Authenticate', challenges(gate, realm));
+  res.status(401).json({ error: 'Authentication required' });
+}
+
+// 401 written to a raw socket, for WebSocket upgrades
+function rejectUnauthorizedUpgrade(socket, gate, realm) {
+  if (socket.destroyed) return;
+
+  const body = JSON.stringify({ error: 'Authentication required' });
+  socket.end([
+    'HTTP/1.1 401 Unauthorized',
+    ...challenges(gate, realm).map((value) => `WWW-Authenticate: ${value}`),
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+// Which schemes a gate accepts, for dashboards
+function describeVisitorAuth(gate) {
+  if (!gate) return null;
+  return [gate.users.length > 0 && 'basic', gate.bearer && 'bearer'].filter(Boolean);
+}
+
+module.exports = {
+  parseVisitorAuth,
+  visitorAuthConfig,
+  authorizeVisitor,
+  sendUnauthorized,
+  rejectUnauthorizedUpgrade,
+  describeVisitorAuth
+};